@@ -0,0 +1,908 @@
+#!/usr/bin/env node
+/**
+ * Command-line interface for Checkerboard Tic-Tac-Toe and Infiltration
+ *
+ * Usage:
+ *   node cli.js play [checkerboard|infiltration] [options]   Play in the terminal
+ *   node cli.js show <record-file> [--ply N]                 Print a recorded position
+ *   node cli.js analyse <record-file> [--difficulty LEVEL]   Evaluation and CPU best move at every ply
+ *   node cli.js tournament [LEVEL...] [options]              CPU-vs-CPU round robin (Checkerboard)
+ *   node cli.js benchmark [--depth N] [--positions N]        CPU search speed in nodes/second (Checkerboard)
+ *   node cli.js book [options]                               Build the CPU opening book by self-play (Checkerboard)
+ *   node cli.js tune [record-file...] [options]              Tune the CPU evaluation weights (Checkerboard)
+ *
+ * Play options:
+ *   --cpu easy|medium|hard   Play against the CPU (default: two humans at one terminal);
+ *                            Checkerboard also has expert (Monte Carlo tree search)
+ *   --cpu-side X|O           Side the CPU plays (default O)
+ *   --max-on-board N         Checkerboard: FIFO cap (default 8)
+ *   --first X|O              Checkerboard: skip the coin toss
+ *   --board-size N           Checkerboard: rows and columns (default 8)
+ *   --win-length N           Checkerboard: pieces in a row to win (default 4)
+ *   --top-half-rows N        Checkerboard: rows in O's (top) half (default half the board)
+ *   --rules VARIANT          Checkerboard: rule variant (standard, free-placement, fifo-off,
+ *                            last-in, pass-allowed, staged-opening; default standard)
+ *   --opening SCHEDULE       Checkerboard: opening phase, none, staged or the halves of its
+ *                            plies (e.g. XOXO); replaces the rule variant's opening
+ *   --repetitions N          Draw when a position occurs N times (default 3, 0: never)
+ *   --move-limit N           Checkerboard: draw after N plies (default 0: no limit);
+ *                            Infiltration: after N actions without a capture or promotion
+ *                            (default 50, 0: no limit)
+ *   --pieces N               Infiltration: pieces per player (default 10)
+ *   --no-capture             Infiltration: disable captures
+ *   --forced-capture         Infiltration: captures are mandatory
+ *   --pie-rule               Infiltration: O may swap after X's first placement
+ *
+ * Tournament options (participants are difficulty levels, default easy medium hard;
+ * expert takes seconds per move, so it only plays when named):
+ *   --config FILE            JSON Tournament config, e.g. participants with weights
+ *   --games N                Games per pairing (default 10)
+ *   --seed N                 Seed for coin tosses and opening plies (default 1)
+ *   --max-plies N            Plies before a game is scored as a draw (default 200)
+ *   --json FILE, --csv FILE  Write the full report as JSON / the standings as CSV
+ *
+ * Benchmark options:
+ *   --depth N                Search depth in plies (default 4)
+ *   --positions N            Number of positions, from seeded random openings (default 20)
+ *   --seed N                 Seed for the openings (default 1)
+ *
+ * Book options:
+ *   --games N                Self-play games, coin toss alternating (default 100)
+ *   --plies N                Plies of each game that go into the book (default 4)
+ *   --depth N                Analysis depth of the book moves (default 3)
+ *   --seed N                 Seed for choosing between equally good moves (default 1)
+ *   --max-on-board N         FIFO cap the book is for (default 8)
+ *   --out FILE               Where to write the JSON book (default opening-book.json,
+ *                            the book the CPU loads)
+ *
+ * Tune options (Texel tuning uses the record files, or self-play games without them):
+ *   --method texel|self-play Fit positions to game results, or play matches (default texel)
+ *   --games N                Texel: self-play corpus games (default 100);
+ *                            self-play: games per match (default 20)
+ *   --iterations N           Rounds of local search (default 10)
+ *   --difficulty LEVEL       CPU playing the self-play games (default medium)
+ *   --seed N                 Seed for coin tosses and opening plies (default 1)
+ *   --name NAME              Name of the weight set (default tuned)
+ *   --out FILE               Weights file the set is added to (default cpu-weights.json,
+ *                            the file CPUPlayer loads weight sets from)
+ *
+ * Moves are typed in the record notation (see game-notation.js and
+ * infiltration-notation.js), e.g. "e5" for a placement, "e3-e4" for a step,
+ * "d4xf6" for a jump, "@b7" for a re-placement, "swap"/"keep" for the pie rule,
+ * "pass" for a Checkerboard pass (when the rules allow one).
+ * Record files are detected as Infiltration or Checkerboard from their headers.
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+
+const GameEngine = require('./game-engine.js');
+const CPUPlayer = require('./cpu-player.js');
+const GameNotation = require('./game-notation.js');
+const InfiltrationEngine = require('./infiltration-engine.js');
+const InfiltrationCPU = require('./infiltration-cpu.js');
+const InfiltrationNotation = require('./infiltration-notation.js');
+const Tournament = require('./tournament.js');
+const OpeningBook = require('./opening-book.js');
+const WeightTuner = require('./weight-tuner.js');
+
+const DIFFICULTIES = ['easy', 'medium', 'hard', 'expert'];
+const TOURNAMENT_DIFFICULTIES = ['easy', 'medium', 'hard'];
+const TUNING_METHODS = ['texel', 'self-play'];
+
+/**
+ * Per-game adapters so the commands below work with either engine
+ */
+const VARIANTS = {
+  checkerboard: {
+    title: 'Checkerboard Tic-Tac-Toe',
+    notation: new GameNotation(),
+    difficulties: DIFFICULTIES,
+
+    createEngine(options) {
+      const engine = new GameEngine({
+        maxOnBoard: options.maxOnBoard,
+        boardSize: options.boardSize || undefined,
+        winLength: options.winLength || undefined,
+        topHalfRows: options.topHalfRows || undefined,
+        rules: options.rules || undefined
+      });
+      // Single rules given on the command line replace the variant's
+      const overrides = {};
+      if (options.opening) {
+        overrides.opening = options.opening;
+      }
+      if (options.repetitions !== null) {
+        overrides.repetitions = options.repetitions;
+      }
+      if (options.moveLimit !== null) {
+        overrides.moveLimit = options.moveLimit;
+      }
+      if (Object.keys(overrides).length > 0) {
+        engine.configureRules({ ...engine.rules, ...overrides });
+        engine.checkOpeningCap();
+      }
+      if (options.first || Object.keys(overrides).length > 0) {
+        engine.reset(options.first);
+      }
+      return engine;
+    },
+
+    restore(state) {
+      const engine = new GameEngine();
+      engine.loadState(state);
+      return engine;
+    },
+
+    createCPU(engine, difficulty) {
+      return new CPUPlayer(engine, difficulty);
+    },
+
+    describeTurn(engine) {
+      const xRanks = engine.BOARD_SIZE - engine.TOP_HALF_ROWS; // X's half is the bottom ranks
+      const half = engine.activeHalf === null
+        ? 'either half'
+        : engine.activeHalf === engine.PLAYER_X
+          ? `X's half (ranks 1-${xRanks})`
+          : `O's half (ranks ${xRanks + 1}-${engine.BOARD_SIZE})`;
+      const opening = engine.isOpeningPhase() ? `, opening ply ${engine.plyCount + 1}/${engine.OPENING_PLIES}` : '';
+      return `${engine.currentPlayer} to move in ${half}${opening}`;
+    },
+
+    legalMoves(engine) {
+      const moves = engine.getValidMoves().map(index => this.notation.indexToCell(index, engine.BOARD_SIZE));
+      return engine.canPass() ? [...moves, this.notation.PASS_TOKEN] : moves;
+    },
+
+    play(engine, token) {
+      const parsed = this.notation.parseRecord(token, engine.getConfig());
+      if (!parsed.success || parsed.plies.length !== 1) {
+        return { success: false, message: `Cannot read "${token}" - type a cell such as e5, or pass` };
+      }
+      return engine.applyMove(parsed.plies[0].index);
+    },
+
+    bestMove(engine, cpu) {
+      const validMoves = engine.getValidMoves();
+      let move = cpu.getBestMove();
+      if (!validMoves.includes(move)) {
+        if (validMoves.length === 0) {
+          return null;
+        }
+        process.stderr.write(`Warning: the CPU chose illegal move ${move} at ply ${engine.plyCount + 1}; ` +
+          `using ${this.notation.indexToCell(validMoves[0], engine.BOARD_SIZE)}\n`);
+        move = validMoves[0];
+      }
+      return move === null ? null : this.notation.indexToCell(move, engine.BOARD_SIZE);
+    },
+
+    evaluate(engine, cpu) {
+      return engine.gameOver
+        ? cpu.evaluateTerminal(engine, engine.PLAYER_X)
+        : cpu.evaluateState(engine, engine.PLAYER_X);
+    }
+  },
+
+  infiltration: {
+    title: 'Tic-Tac-Toe 2: Infiltration',
+    notation: new InfiltrationNotation(),
+    difficulties: ['easy', 'medium', 'hard'],
+
+    createEngine(options) {
+      return new InfiltrationEngine({
+        pieceCount: options.pieces,
+        captureEnabled: options.capture,
+        forcedCapture: options.forcedCapture,
+        pieRule: options.pieRule,
+        repetitions: options.repetitions !== null ? options.repetitions : undefined,
+        moveLimit: options.moveLimit !== null ? options.moveLimit : undefined
+      });
+    },
+
+    restore(state) {
+      const engine = new InfiltrationEngine(state.config);
+      engine.loadState(state);
+      return engine;
+    },
+
+    createCPU(engine, difficulty) {
+      return new InfiltrationCPU(engine, difficulty);
+    },
+
+    describeTurn(engine) {
+      const captured = engine.capturedPieces[engine.currentPlayer];
+      const spare = captured > 0 ? `, ${captured} captured to re-place` : '';
+      return `${engine.currentPlayer} to move (${engine.phase.replace('_', ' ')} phase` +
+        `, inventory X ${engine.inventory.X} / O ${engine.inventory.O}${spare})`;
+    },
+
+    legalMoves(engine) {
+      const cpu = new InfiltrationCPU(engine, 'easy');
+      return cpu.getLegalActions(engine).map(action => this.actionToken(engine, action));
+    },
+
+    play(engine, token) {
+      const ply = this.notation.parseToken(token);
+      if (ply === null) {
+        return { success: false, message: `Cannot read "${token}" - see "moves" for examples` };
+      }
+      return this.notation.applyPly(engine, ply);
+    },
+
+    bestMove(engine, cpu) {
+      const action = cpu.getBestMove();
+      return action === null ? null : this.actionToken(engine, action);
+    },
+
+    evaluate(engine, cpu) {
+      return engine.gameOver
+        ? cpu.evaluateTerminal(engine, engine.PLAYER_X)
+        : cpu.evaluateState(engine, engine.PLAYER_X);
+    },
+
+    /**
+     * Write an InfiltrationCPU action in record notation
+     */
+    actionToken(engine, action) {
+      const notation = this.notation;
+      switch (action.type) {
+        case 'pie':
+          return action.swap ? notation.PIE_SWAP : notation.PIE_KEEP;
+        case 'placement':
+          return notation.indexToCell(action.index);
+        case 'replacement':
+          return `@${notation.indexToCell(action.index)}`;
+        default: {
+          const separator = action.type === 'capture' ? 'x' : '-';
+          const piece = engine.board[action.from];
+          const promotes = !engine.isKingAt(action.from) &&
+            engine.isPromotionRow(piece, engine.indexToCoords(action.to).row);
+          return `${notation.indexToCell(action.from)}${separator}${notation.indexToCell(action.to)}${promotes ? '=K' : ''}`;
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Parse "--flag value" style arguments
+ * Returns { positional, options }
+ */
+function parseArgs(args) {
+  const positional = [];
+  const options = {
+    cpu: null,
+    cpuSide: 'O',
+    maxOnBoard: 8,
+    boardSize: null,
+    winLength: null,
+    topHalfRows: null,
+    rules: null,
+    opening: null,
+    repetitions: null,
+    moveLimit: null,
+    first: null,
+    pieces: 10,
+    capture: true,
+    forcedCapture: false,
+    pieRule: false,
+    ply: null,
+    difficulty: 'medium',
+    config: null,
+    games: null,
+    seed: null,
+    maxPlies: null,
+    depth: null,
+    plies: null,
+    out: null,
+    method: 'texel',
+    name: 'tuned',
+    iterations: null,
+    positions: 20,
+    baseline: false,
+    json: null,
+    csv: null
+  };
+
+  const valueOf = (flag, i) => {
+    if (i + 1 >= args.length) {
+      throw new Error(`${flag} needs a value`);
+    }
+    return args[i + 1];
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    switch (arg) {
+      case '--cpu':
+        options.cpu = valueOf(arg, i++).toLowerCase();
+        break;
+      case '--cpu-side':
+        options.cpuSide = valueOf(arg, i++).toUpperCase();
+        break;
+      case '--max-on-board':
+        options.maxOnBoard = Number(valueOf(arg, i++));
+        break;
+      case '--board-size':
+        options.boardSize = Number(valueOf(arg, i++));
+        break;
+      case '--win-length':
+        options.winLength = Number(valueOf(arg, i++));
+        break;
+      case '--top-half-rows':
+        options.topHalfRows = Number(valueOf(arg, i++));
+        break;
+      case '--rules':
+        options.rules = valueOf(arg, i++).toLowerCase();
+        break;
+      case '--opening':
+        options.opening = valueOf(arg, i++);
+        break;
+      case '--repetitions':
+        options.repetitions = Number(valueOf(arg, i++));
+        break;
+      case '--move-limit':
+        options.moveLimit = Number(valueOf(arg, i++));
+        break;
+      case '--first':
+        options.first = valueOf(arg, i++).toUpperCase();
+        break;
+      case '--pieces':
+        options.pieces = Number(valueOf(arg, i++));
+        break;
+      case '--ply':
+        options.ply = Number(valueOf(arg, i++));
+        break;
+      case '--config':
+        options.config = valueOf(arg, i++);
+        break;
+      case '--games':
+        options.games = Number(valueOf(arg, i++));
+        break;
+      case '--seed':
+        options.seed = Number(valueOf(arg, i++));
+        break;
+      case '--depth':
+        options.depth = Number(valueOf(arg, i++));
+        break;
+      case '--plies':
+        options.plies = Number(valueOf(arg, i++));
+        break;
+      case '--out':
+        options.out = valueOf(arg, i++);
+        break;
+      case '--method':
+        options.method = valueOf(arg, i++).toLowerCase();
+        break;
+      case '--name':
+        options.name = valueOf(arg, i++);
+        break;
+      case '--iterations':
+        options.iterations = Number(valueOf(arg, i++));
+        break;
+      case '--positions':
+        options.positions = Number(valueOf(arg, i++));
+        break;
+      case '--max-plies':
+        options.maxPlies = Number(valueOf(arg, i++));
+        break;
+      case '--json':
+        options.json = valueOf(arg, i++);
+        break;
+      case '--csv':
+        options.csv = valueOf(arg, i++);
+        break;
+      case '--difficulty':
+        options.difficulty = valueOf(arg, i++).toLowerCase();
+        break;
+      case '--no-capture':
+        options.capture = false;
+        break;
+      case '--forced-capture':
+        options.forcedCapture = true;
+        break;
+      case '--pie-rule':
+        options.pieRule = true;
+        break;
+      case '--baseline':
+        options.baseline = true;
+        break;
+      default:
+        if (arg.startsWith('--')) {
+          throw new Error(`Unknown option ${arg}`);
+        }
+        positional.push(arg);
+    }
+  }
+
+  if (options.cpu !== null && !DIFFICULTIES.includes(options.cpu)) {
+    throw new Error(`--cpu must be one of ${DIFFICULTIES.join(', ')}`);
+  }
+  if (!DIFFICULTIES.includes(options.difficulty)) {
+    throw new Error(`--difficulty must be one of ${DIFFICULTIES.join(', ')}`);
+  }
+  if (!TUNING_METHODS.includes(options.method)) {
+    throw new Error(`--method must be one of ${TUNING_METHODS.join(', ')}`);
+  }
+  if (options.cpuSide !== 'X' && options.cpuSide !== 'O') {
+    throw new Error('--cpu-side must be X or O');
+  }
+  if (options.first !== null && options.first !== 'X' && options.first !== 'O') {
+    throw new Error('--first must be X or O');
+  }
+  if (options.opening !== null) {
+    // none and staged, or a schedule of halves in capitals
+    const named = options.opening.toLowerCase();
+    options.opening = ['none', 'staged'].includes(named) ? named : options.opening.toUpperCase();
+  }
+  for (const [flag, value] of [
+    ['--max-on-board', options.maxOnBoard],
+    ['--pieces', options.pieces],
+    ['--positions', options.positions]
+  ]) {
+    if (!Number.isInteger(value) || value < 1) {
+      throw new Error(`${flag} must be a positive whole number`);
+    }
+  }
+  for (const [flag, value] of [
+    ['--games', options.games],
+    ['--max-plies', options.maxPlies],
+    ['--depth', options.depth],
+    ['--plies', options.plies],
+    ['--iterations', options.iterations],
+    ['--board-size', options.boardSize],
+    ['--win-length', options.winLength],
+    ['--top-half-rows', options.topHalfRows]
+  ]) {
+    if (value !== null && (!Number.isInteger(value) || value < 1)) {
+      throw new Error(`${flag} must be a positive whole number`);
+    }
+  }
+  if (options.seed !== null && !Number.isInteger(options.seed)) {
+    throw new Error('--seed must be a whole number');
+  }
+
+  return { positional, options };
+}
+
+/**
+ * Read a record file and replay it
+ * Returns { variant, engine, headers }
+ */
+function loadRecord(path) {
+  const text = fs.readFileSync(path, 'utf8');
+  const gameHeader = /^\s*\[Game "([^"]*)"\]/m.exec(text);
+  const isInfiltration = gameHeader ? /Infiltration/i.test(gameHeader[1]) : /^\s*\[PieceCount /m.test(text);
+  const variant = VARIANTS[isInfiltration ? 'infiltration' : 'checkerboard'];
+
+  const result = variant.notation.importRecord(text);
+  if (!result.success) {
+    throw new Error(`${path}: ${result.message}`);
+  }
+
+  return { variant, engine: result.engine, headers: result.headers };
+}
+
+/**
+ * Describe how a game ended, or null if it is still in progress
+ */
+function describeResult(engine) {
+  if (!engine.gameOver) {
+    return null;
+  }
+  if (engine.winner) {
+    return `${engine.winner} wins`;
+  }
+  return engine.drawReason ? `Draw (${engine.drawReason})` : 'Draw';
+}
+
+/**
+ * Format an evaluation from X's point of view, e.g. "+12.5"
+ */
+function formatEval(score) {
+  const rounded = Math.round(score * 10) / 10;
+  return `${rounded > 0 ? '+' : ''}${rounded.toFixed(1)}`;
+}
+
+/**
+ * "show": print the position after a given ply (default: the last one)
+ */
+function showCommand(positional, options) {
+  const [path] = positional;
+  if (!path) {
+    throw new Error('Usage: node cli.js show <record-file> [--ply N]');
+  }
+
+  const { variant, engine } = loadRecord(path);
+  const steps = variant.notation.buildTimeline(engine);
+  const ply = options.ply === null ? steps.length - 1 : options.ply;
+  if (!Number.isInteger(ply) || ply < 0 || ply >= steps.length) {
+    throw new Error(`--ply must be between 0 and ${steps.length - 1}`);
+  }
+
+  const position = variant.restore(steps[ply].state);
+  const moves = steps.slice(1, ply + 1).map(step => step.token);
+
+  console.log(`${variant.title} - ply ${ply} of ${steps.length - 1}`);
+  console.log(moves.length > 0 ? moves.join(' ') : '(no moves)');
+  console.log('');
+  console.log(variant.notation.renderBoard(position));
+  console.log('');
+  console.log(describeResult(position) || variant.describeTurn(position));
+}
+
+/**
+ * Reject a CPU level the game's CPU does not have (null means no CPU)
+ */
+function checkDifficulty(variant, difficulty) {
+  if (difficulty !== null && !variant.difficulties.includes(difficulty)) {
+    throw new Error(`${variant.title} CPU levels are ${variant.difficulties.join(', ')}`);
+  }
+}
+
+/**
+ * "analyse": evaluation and CPU best move before every ply of a record
+ */
+function analyseCommand(positional, options) {
+  const [path] = positional;
+  if (!path) {
+    throw new Error('Usage: node cli.js analyse <record-file> [--difficulty easy|medium|hard|expert]');
+  }
+
+  const { variant, engine } = loadRecord(path);
+  checkDifficulty(variant, options.difficulty);
+  const steps = variant.notation.buildTimeline(engine);
+
+  console.log(`${variant.title} - analysis at ${options.difficulty} (evaluation from X's point of view)`);
+  console.log('');
+  console.log(`${'Ply'.padStart(4)}  ${'Played'.padEnd(12)}${'Eval'.padStart(9)}  CPU best`);
+
+  for (let i = 1; i < steps.length; i++) {
+    const position = variant.restore(steps[i - 1].state);
+    const cpu = variant.createCPU(position, options.difficulty);
+    const evaluation = variant.evaluate(position, cpu);
+    const best = variant.bestMove(position, cpu);
+    const played = steps[i].token;
+    const marker = best !== null && played.replace(/[#]$/, '').startsWith(best.replace(/=K$/, '')) ? '' : '  *';
+
+    console.log(`${String(i).padStart(4)}  ${played.padEnd(12)}${formatEval(evaluation).padStart(9)}  ${best || '-'}${marker}`);
+  }
+
+  const final = variant.restore(steps[steps.length - 1].state);
+  const finalEval = variant.evaluate(final, variant.createCPU(final, options.difficulty));
+  console.log('');
+  console.log(`Final position: ${formatEval(finalEval)} (${describeResult(final) || 'in progress'})`);
+  console.log('* played move differs from the CPU choice');
+}
+
+/**
+ * "tournament": CPU-vs-CPU round robin with Elo ratings
+ * Participants come from --config, or from difficulty levels on the command line
+ */
+function tournamentCommand(positional, options) {
+  const config = options.config ? JSON.parse(fs.readFileSync(options.config, 'utf8')) : {};
+
+  if (positional.length > 0) {
+    for (const level of positional) {
+      if (!DIFFICULTIES.includes(level)) {
+        throw new Error(`Unknown difficulty "${level}" (choose ${DIFFICULTIES.join(', ')})`);
+      }
+    }
+    config.participants = positional.map(level => ({ name: level, difficulty: level }));
+  } else if (!config.participants) {
+    config.participants = TOURNAMENT_DIFFICULTIES.map(level => ({ name: level, difficulty: level }));
+  }
+
+  for (const key of ['games', 'seed', 'maxPlies']) {
+    if (options[key] !== null) {
+      config[key === 'games' ? 'gamesPerPairing' : key] = options[key];
+    }
+  }
+  if (options.maxOnBoard !== 8) {
+    config.maxOnBoard = options.maxOnBoard;
+  }
+
+  const tournament = new Tournament({
+    ...config,
+    onGame: game => {
+      process.stderr.write(`Game ${game.round}: ${game.x} (X) vs ${game.o} (O) - ${game.result} in ${game.plies} plies\n`);
+    }
+  });
+  const report = tournament.run();
+
+  console.log(tournament.formatReport(report));
+
+  if (options.json) {
+    fs.writeFileSync(options.json, tournament.toJSON(report));
+    console.log(`Report written to ${options.json}`);
+  }
+  if (options.csv) {
+    fs.writeFileSync(options.csv, tournament.toCSV(report));
+    console.log(`Standings written to ${options.csv}`);
+  }
+}
+
+/**
+ * "benchmark": CPUPlayer search speed on positions from seeded random openings
+ * (see CPUPlayer.benchmark); --baseline searches them with clone() per node
+ */
+function benchmarkCommand(options) {
+  const result = CPUPlayer.benchmark({
+    positions: options.positions,
+    depth: options.depth || 4,
+    seed: options.seed !== null ? options.seed : 1,
+    baseline: options.baseline
+  });
+
+  const perSecond = result.timeMs > 0 ? Math.round(result.nodes / (result.timeMs / 1000)) : result.nodes;
+  console.log(`${result.positions} positions at depth ${result.depth}${options.baseline ? ' (clone() baseline)' : ''}: ` +
+    `${result.nodes} nodes in ${result.timeMs} ms (${perSecond} nodes/s)`);
+}
+
+/**
+ * "book": build the opening book by self-play and write it as JSON
+ */
+function bookCommand(options) {
+  const data = OpeningBook.generate({
+    games: options.games || 100,
+    plies: options.plies || 4,
+    depth: options.depth || 3,
+    seed: options.seed !== null ? options.seed : 1,
+    maxOnBoard: options.maxOnBoard,
+    onGame: (game, winner) => {
+      process.stderr.write(`Game ${game}: ${winner ? `${winner} wins` : 'no winner'}\n`);
+    }
+  });
+
+  const path = options.out || require('path').join(__dirname, 'opening-book.json');
+  fs.writeFileSync(path, OpeningBook.format(data));
+  console.log(`${Object.keys(data.positions).length} positions from ${data.games} games written to ${path}`);
+}
+
+/**
+ * "tune": tune the CPU evaluation weights and add them to the weights file
+ * as a named set, which CPUPlayer then loads by name
+ */
+function tuneCommand(positional, options) {
+  const seed = options.seed !== null ? options.seed : 1;
+  const tuner = new WeightTuner({
+    difficulty: options.difficulty,
+    iterations: options.iterations || 10,
+    games: options.method === 'self-play' ? options.games || 20 : undefined,
+    seed,
+    maxOnBoard: options.maxOnBoard,
+    onIteration: ({ iteration, weights, value, step }) => {
+      const values = tuner.parameters.map(name => `${name} ${weights[name]}`).join(', ');
+      process.stderr.write(`Round ${iteration} (step ${step}): ${values} - ${options.method === 'texel' ? 'error' : 'score'} ${value.toFixed(4)}\n`);
+    }
+  });
+
+  // Nothing is written when tuning fails
+  let result;
+  try {
+    if (options.method === 'self-play') {
+      result = tuner.tuneSelfPlay();
+    } else {
+      let corpus;
+      if (positional.length > 0) {
+        corpus = positional.map(path => {
+          const { variant, engine } = loadRecord(path);
+          if (variant !== VARIANTS.checkerboard) {
+            throw new Error(`${path}: only Checkerboard games can be used for tuning`);
+          }
+          return WeightTuner.fromEngine(engine);
+        });
+      } else {
+        const games = options.games || 100;
+        process.stderr.write(`Playing ${games} self-play games for the corpus...\n`);
+        corpus = tuner.generateCorpus(games);
+      }
+      result = tuner.tuneTexel(corpus);
+      console.log(`${result.positions} positions, scale ${result.scale}: ` +
+        `error ${result.initialError.toFixed(4)} -> ${result.error.toFixed(4)}`);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const path = options.out || require('path').join(__dirname, 'cpu-weights.json');
+  const data = fs.existsSync(path) ? JSON.parse(fs.readFileSync(path, 'utf8')) : { version: 1, sets: {} };
+  data.sets[options.name] = { ...result, difficulty: options.difficulty, seed };
+  fs.writeFileSync(path, `${JSON.stringify(data, null, 2)}\n`);
+  console.log(`Weight set "${options.name}" written to ${path}: ` +
+    tuner.parameters.map(name => `${name} ${result.weights[name]}`).join(', '));
+}
+
+/**
+ * Read stdin one trimmed line at a time
+ * next() resolves with the next line, or null once input has ended.
+ * Lines are queued so piped input is not lost while the CPU is thinking.
+ */
+function createLineReader() {
+  const rl = readline.createInterface({ input: process.stdin, terminal: false });
+  const lines = [];
+  const waiting = [];
+  let closed = false;
+
+  rl.on('line', line => {
+    if (waiting.length > 0) {
+      waiting.shift()(line.trim());
+    } else {
+      lines.push(line.trim());
+    }
+  });
+  rl.on('close', () => {
+    closed = true;
+    waiting.splice(0).forEach(resolve => resolve(null));
+  });
+
+  return {
+    next() {
+      if (lines.length > 0) {
+        return Promise.resolve(lines.shift());
+      }
+      if (closed) {
+        return Promise.resolve(null);
+      }
+      return new Promise(resolve => waiting.push(resolve));
+    },
+    close() {
+      rl.close();
+    }
+  };
+}
+
+/**
+ * "play": interactive game in the terminal, optionally against the CPU
+ */
+async function playCommand(positional, options) {
+  const name = positional[0] || 'checkerboard';
+  const variant = VARIANTS[name];
+  if (!variant) {
+    throw new Error(`Unknown game "${name}" (choose ${Object.keys(VARIANTS).join(' or ')})`);
+  }
+  checkDifficulty(variant, options.cpu);
+
+  const engine = variant.createEngine(options);
+  const cpu = options.cpu ? variant.createCPU(engine, options.cpu) : null;
+  const isCPUTurn = () => cpu !== null && !engine.gameOver && engine.currentPlayer === options.cpuSide;
+  const input = createLineReader();
+
+  console.log(`${variant.title}${cpu ? ` vs CPU (${options.cpu}, plays ${options.cpuSide})` : ''}`);
+  if (name === 'checkerboard') {
+    console.log(`Coin toss: ${engine.startingPlayer} moves first`);
+  }
+  console.log('Type a move, or "moves", "undo", "record", "help", "quit"');
+
+  let showBoard = true;
+  try {
+    while (!engine.gameOver) {
+      if (showBoard) {
+        console.log('');
+        console.log(variant.notation.renderBoard(engine));
+        console.log(variant.describeTurn(engine));
+        showBoard = false;
+      }
+
+      if (variant.legalMoves(engine).length === 0) {
+        console.log('No legal moves left');
+        break;
+      }
+
+      if (isCPUTurn()) {
+        const token = variant.bestMove(engine, cpu);
+        variant.play(engine, token);
+        console.log(`CPU plays ${token}`);
+        showBoard = true;
+        continue;
+      }
+
+      process.stdout.write(`${engine.currentPlayer}> `);
+      const line = await input.next();
+      if (line === null || line === 'quit' || line === 'exit') {
+        console.log('');
+        return;
+      }
+
+      if (line === '') {
+        continue;
+      } else if (line === 'help') {
+        console.log('Moves use record notation: e5 (place), e3-e4 (step), d4xf6 (jump), @b7 (re-place), swap/keep (pie rule), pass');
+      } else if (line === 'moves') {
+        console.log(variant.legalMoves(engine).join(' '));
+      } else if (line === 'record') {
+        console.log(variant.notation.exportRecord(engine));
+      } else if (line === 'undo') {
+        // Against the CPU, keep undoing until it is the human's turn again
+        const undone = engine.undo().success;
+        while (undone && isCPUTurn() && engine.canUndo()) {
+          engine.undo();
+        }
+        if (undone) {
+          showBoard = true;
+        } else {
+          console.log('Nothing to undo');
+        }
+      } else {
+        const result = variant.play(engine, line);
+        if (result.success) {
+          showBoard = true;
+        } else {
+          console.log(result.message);
+        }
+      }
+    }
+
+    console.log('');
+    console.log(variant.notation.renderBoard(engine));
+    console.log(describeResult(engine) || 'Game stopped');
+    console.log('');
+    console.log(variant.notation.exportRecord(engine));
+  } finally {
+    input.close();
+  }
+}
+
+async function main(args) {
+  const [command, ...rest] = args;
+  const { positional, options } = parseArgs(rest);
+
+  switch (command) {
+    case 'play':
+      await playCommand(positional, options);
+      break;
+    case 'show':
+      showCommand(positional, options);
+      break;
+    case 'analyse':
+    case 'analyze':
+      analyseCommand(positional, options);
+      break;
+    case 'tournament':
+      tournamentCommand(positional, options);
+      break;
+    case 'benchmark':
+      benchmarkCommand(options);
+      break;
+    case 'book':
+      bookCommand(options);
+      break;
+    case 'tune':
+      tuneCommand(positional, options);
+      break;
+    default:
+      console.log([
+        'Usage:',
+        '  node cli.js play [checkerboard|infiltration] [--cpu easy|medium|hard|expert] [--cpu-side X|O]',
+        '  node cli.js show <record-file> [--ply N]',
+        '  node cli.js analyse <record-file> [--difficulty easy|medium|hard|expert]',
+        '  node cli.js tournament [easy|medium|hard|expert ...] [--config FILE] [--games N] [--seed N]',
+        '                         [--max-plies N] [--json FILE] [--csv FILE]',
+        '  node cli.js benchmark [--depth N] [--positions N] [--seed N] [--baseline]',
+        '  node cli.js book [--games N] [--plies N] [--depth N] [--seed N] [--out FILE]',
+        '  node cli.js tune [record-file...] [--method texel|self-play] [--games N] [--iterations N]',
+        '                   [--difficulty LEVEL] [--seed N] [--name NAME] [--out FILE]',
+        '',
+        'Checkerboard options: --max-on-board N, --first X|O, --board-size N, --win-length N, --top-half-rows N,',
+        '                      --rules standard|free-placement|fifo-off|last-in|pass-allowed|staged-opening,',
+        '                      --opening none|staged|SCHEDULE (halves of the opening plies, e.g. XOXO),',
+        '                      --repetitions N, --move-limit N (plies)',
+        'Infiltration options: --pieces N, --no-capture, --forced-capture, --pie-rule,',
+        '                      --repetitions N, --move-limit N (actions without a capture or promotion)'
+      ].join('\n'));
+      if (command !== undefined && command !== 'help') {
+        process.exitCode = 1;
+      }
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { VARIANTS, parseArgs, loadRecord };
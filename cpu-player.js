@@ -1,34 +1,127 @@
 /**
  * CPU Player for Checkerboard Tic-Tac-Toe
  *
- * Implements deterministic AI with three difficulty levels:
+ * Implements AI with four difficulty levels:
  * - Easy: Heuristic-only (no lookahead)
  * - Medium: Minimax depth 2 with alpha-beta pruning
- * - Hard: Minimax depth 3 with alpha-beta pruning and candidate move pruning
+ * - Hard: Iterative deepening (up to depth 8, within MAX_TIME_MS) with
+ *   alpha-beta pruning and candidate move pruning
+ * - Expert: Monte Carlo tree search (UCT) with heuristic rollouts, within
+ *   MCTS_ITERATIONS playouts and MAX_TIME_MS
+ *
+ * Minimax searches share a transposition table keyed on a Zobrist hash of the
+ * position (see hashPosition), which also supplies move ordering.
+ * Medium and above play from an opening book (see opening-book.js) while the
+ * position is in it, choosing among book moves with the seeded generator.
+ * Easy, Medium and Hard are deterministic (for a given seed while in book);
+ * Expert is reproducible for a given seed as long as the iteration budget, not
+ * the time budget, ends the search.
  */
 
 class CPUPlayer {
-  constructor(engine, difficulty = 'medium') {
+  /**
+   * @param {GameEngine} engine - Game the CPU plays in
+   * @param {string} difficulty - 'easy', 'medium', 'hard' or 'expert'
+   * @param {Object} options - Optional tuning: { candidateCount, maxTimeMs, maxDepth, weights,
+   *                           iterations, seed, rng, onProgress, book } where weights overrides entries
+   *                           of DEFAULT_WEIGHTS (or names a weight set, see getWeightSets),
+   *                           iterations configures Expert, seed and rng drive
+   *                           Expert and book choices, onProgress(stats) is called as a search
+   *                           goes (see reportProgress) and book is an OpeningBook (null for none,
+   *                           default OpeningBook.getDefault())
+   */
+  constructor(engine, difficulty = 'medium', options = {}) {
     this.engine = engine;
     this.difficulty = difficulty.toLowerCase();
-    this.BOARD_SIZE = 8;
-    this.CELLS_COUNT = 64;
-    this.WIN_LENGTH = 4;
 
-    // Precompute all 4-length segments for heuristic evaluation
+    // Board geometry comes from the engine (a CPU is for one geometry, as are its
+    // precomputed segments and hash keys)
+    this.BOARD_SIZE = engine.BOARD_SIZE;
+    this.CELLS_COUNT = engine.CELLS_COUNT;
+    this.WIN_LENGTH = engine.WIN_LENGTH;
+
+    // Precompute all WIN_LENGTH segments for heuristic evaluation
     this.allSegments = this.precomputeSegments();
+    this.segmentsInHalf = {
+      X: this.allSegments.filter(segment => segment.half === 'X'),
+      O: this.allSegments.filter(segment => segment.half === 'O')
+    };
 
     // Precompute square influence (how many segments each square participates in)
     this.squareInfluence = this.precomputeSquareInfluence();
 
     // Configuration
-    this.CANDIDATE_COUNT = 12; // Top K moves to consider at each node (Hard mode)
-    this.MAX_TIME_MS = 5000; // Time budget safeguard
+    this.CANDIDATE_COUNT = options.candidateCount || 12; // Top K moves to consider at each node (Hard mode)
+    this.MAX_TIME_MS = options.maxTimeMs || 5000; // Time budget safeguard
     this.startTime = 0;
+
+    // Search depth in plies, counting the CPU's own move
+    this.SEARCH_DEPTH = {
+      medium: 2,
+      hard: options.maxDepth || 8 // Iterative deepening stops earlier when time runs out
+    };
+    this.WIN_SCORE = 10000;
+    this.DRAW_MARGIN = 10; // Draw offers are declined when ahead by more than this (about one two-piece threat)
+
+    // Forced sequences: lines completed within this many own placements
+    this.FORCED_PLACEMENTS = 3;
+    this.turnSchedules = { X: {}, O: {} };
+
+    // Monte Carlo tree search (Expert)
+    this.MCTS_ITERATIONS = options.iterations || 2000; // Playouts per move (MAX_TIME_MS also applies)
+    this.MCTS_EXPLORATION = Math.SQRT2; // UCT exploration constant
+    this.ROLLOUT_DEPTH = 12; // Plies played out before the position is evaluated
+    this.ROLLOUT_SAMPLES = 4; // Random moves compared by evaluateSegments at each rollout ply
+    this.ROLLOUT_SCALE = 200; // Evaluation worth about a 73% win chance
+    this.rng = options.rng || CPUPlayer.createRng(options.seed === undefined ? 1 : options.seed);
+    this.searchTree = null; // { root, history, startingPlayer } kept for the next move
+
+    // Opening book (not used on Easy)
+    this.book = options.book !== undefined ? options.book : CPUPlayer.getDefaultBook();
+
+    // Transposition table: position hash -> { depth, score, flag, bestMove }
+    this.TT_EXACT = 0;
+    this.TT_LOWER = 1; // Score is at least this (beta cutoff)
+    this.TT_UPPER = 2; // Score is at most this (no move raised alpha)
+    this.TT_MAX_ENTRIES = 500000;
+    this.transpositionTable = new Map();
+    this.zobristKeys = this.precomputeZobristKeys(engine.MAX_ON_BOARD_PER_PLAYER);
+
+    // Search state
+    this.deadline = Infinity; // Time after which a search is abandoned
+    this.timedOut = false;
+    this.nodes = 0;
+    this.searchDepth = 0; // Deepest tree node reached by the current Expert search
+    this.lastSearch = null; // { depth, nodes, score, timeMs } of the last iterative deepening
+                            // ({ depth, nodes, iterations, reusedVisits, winRate, timeMs } for Expert)
+                            // null when getBestMove needed no search
+    this.onProgress = options.onProgress || null;
+    this.PROGRESS_PLAYOUTS = 100; // Expert reports progress every this many playouts
+
+    // Evaluation weights
+    this.DEFAULT_WEIGHTS = {
+      four: 1000,     // Complete segment (shouldn't happen in non-terminal)
+      three: 100,     // 3 pieces + 1 empty: strong threat
+      two: 10,        // 2 pieces + 2 empty: medium threat
+      one: 1,         // 1 piece + 3 empty: weak threat
+      influence: 0.5, // Per segment through a piece in the opponent's half
+
+      // FIFO awareness (see fifoMultiplier): threat weights are scaled by
+      fifoBroken: 0.1, // ...when FIFO removes one of its pieces before it can be completed
+      fifoSafe: 1.25,  // ...when, at the cap, its pieces also survive fifoHorizon more removals
+      fifoHorizon: 2,  // Extra placements a threat must survive to count as safe
+
+      // Active half awareness (see halfMultiplier): threat weights are scaled by
+      halfDelayed: 0.5,    // ...when the player's next turn cannot place in the threat's half
+      halfUnreachable: 0,  // ...when no turn within the lookahead can
+      forcedWin: 5000      // Forced sequence (see findForcedWin), less the plies it takes
+    };
+    const weights = typeof options.weights === 'string' ? CPUPlayer.getWeightSet(options.weights) : options.weights;
+    this.weights = { ...this.DEFAULT_WEIGHTS, ...(weights || {}) };
   }
 
   /**
-   * Precompute all possible 4-length segments (H/V/D) on the board
+   * Precompute all possible WIN_LENGTH segments (H/V/D) on the board
    * Returns array of segment objects with indices and territory info
    */
   precomputeSegments() {
@@ -60,14 +153,15 @@ class CPUPlayer {
 
           if (valid) {
             // Determine if segment is entirely in X's half, O's half, or mixed
-            const allInXHalf = segment.every(idx => idx > 31);
-            const allInOHalf = segment.every(idx => idx <= 31);
+            const allInXHalf = segment.every(idx => this.engine.isInXHalf(idx));
+            const allInOHalf = segment.every(idx => this.engine.isInOHalf(idx));
 
             segments.push({
               indices: segment,
               inXHalf: allInXHalf,
               inOHalf: allInOHalf,
-              isMixed: !allInXHalf && !allInOHalf
+              isMixed: !allInXHalf && !allInOHalf,
+              half: allInXHalf ? 'X' : (allInOHalf ? 'O' : null)
             });
           }
         }
@@ -99,6 +193,7 @@ class CPUPlayer {
    */
   getBestMove() {
     this.startTime = Date.now();
+    this.lastSearch = null;
     const currentPlayer = this.engine.currentPlayer;
 
     // Get legal moves
@@ -108,10 +203,10 @@ class CPUPlayer {
       return null;
     }
 
-    // First move: deterministic opening strategy
-    if (this.engine.plyCount === 0) {
-      // X's first move - place in center of X's half
-      return 45; // Row 5, col 5 (center-ish of X's half)
+    // Known opening position: play a book move
+    const bookMove = this.getBookMove(legalMoves);
+    if (bookMove !== null) {
+      return bookMove;
     }
 
     // Check for immediate winning move
@@ -120,13 +215,20 @@ class CPUPlayer {
       return winningMove;
     }
 
-    // Check for immediate blocking move
-    const opponent = this.engine.getOpponent(currentPlayer);
-    const blockingMove = this.findImmediateWin(opponent, legalMoves);
+    // Take the cell the opponent would win on next
+    const blockingMove = this.findBlockingMove(legalMoves);
     if (blockingMove !== null) {
       return blockingMove;
     }
 
+    // Continue a forced sequence the opponent cannot stop or outrun
+    if (this.difficulty !== 'easy') {
+      const forcedMove = this.findForcedMove(this.engine, legalMoves);
+      if (forcedMove !== null) {
+        return forcedMove;
+      }
+    }
+
     // Apply difficulty-based strategy
     switch (this.difficulty) {
       case 'easy':
@@ -135,23 +237,44 @@ class CPUPlayer {
         return this.getBestMoveMedium(legalMoves);
       case 'hard':
         return this.getBestMoveHard(legalMoves);
+      case 'expert':
+        return this.getBestMoveExpert(legalMoves);
       default:
         return this.getBestMoveMedium(legalMoves);
     }
   }
 
+  /**
+   * A weighted random book move for the current position, or null when out of book
+   * The book's hash keys only match games with the FIFO cap and board it was built for
+   */
+  getBookMove(legalMoves) {
+    const book = this.book;
+    if (!book || this.difficulty === 'easy' || !book.appliesTo(this.engine)) {
+      return null;
+    }
+    return book.chooseMove(this.getBookKey(this.engine), legalMoves, this.rng);
+  }
+
+  /**
+   * Opening book key: who won the coin toss and the position hash for the side to move
+   */
+  getBookKey(engine) {
+    return `${engine.startingPlayer}:${this.hashPosition(engine, engine.currentPlayer).toString(36)}`;
+  }
+
   /**
    * Easy: Heuristic-only evaluation (no lookahead)
    */
   getBestMoveEasy(legalMoves) {
+    const currentPlayer = this.engine.currentPlayer;
     let bestMove = legalMoves[0];
     let bestScore = -Infinity;
 
     for (const move of legalMoves) {
-      const cloned = this.engine.clone();
-      cloned.applyMove(move);
-
-      const score = this.evaluateState(cloned, this.engine.currentPlayer);
+      const played = this.engine.makeMove(move);
+      const score = this.evaluateState(this.engine, currentPlayer);
+      this.engine.unmakeMove(played);
 
       if (score > bestScore) {
         bestScore = score;
@@ -166,70 +289,582 @@ class CPUPlayer {
    * Medium: Minimax depth 2 with alpha-beta pruning
    */
   getBestMoveMedium(legalMoves) {
-    const currentPlayer = this.engine.currentPlayer;
-    let bestMove = legalMoves[0];
-    let bestScore = -Infinity;
-    let alpha = -Infinity;
-    let beta = Infinity;
+    return this.iterativeDeepening(legalMoves, this.SEARCH_DEPTH.medium);
+  }
 
-    for (const move of legalMoves) {
-      const cloned = this.engine.clone();
-      cloned.applyMove(move);
+  /**
+   * Hard: Iterative deepening over the pruned candidate list
+   */
+  getBestMoveHard(legalMoves) {
+    const candidates = this.getCandidateMoves(this.engine, legalMoves, this.engine.currentPlayer);
+    return this.iterativeDeepening(candidates, this.SEARCH_DEPTH.hard);
+  }
 
-      const score = this.minimax(cloned, 1, false, currentPlayer, alpha, beta);
+  /**
+   * Expert: Monte Carlo tree search (UCT)
+   * Runs MCTS_ITERATIONS playouts (fewer if MAX_TIME_MS runs out first, but at
+   * least one) and plays the most visited move. The tree below the position
+   * reached is kept, so the next call starts from the playouts already spent on it.
+   */
+  getBestMoveExpert(legalMoves) {
+    const root = this.getSearchTree();
+    const deadline = this.startTime + this.MAX_TIME_MS;
+    const reusedVisits = root.visits;
+    this.nodes = 0;
+    this.searchDepth = 0;
+
+    let iterations = 0;
+    do {
+      this.runPlayout(root);
+      iterations++;
+
+      if (iterations % this.PROGRESS_PLAYOUTS === 0) {
+        this.reportProgress({ depth: this.searchDepth, nodes: this.nodes, iterations });
+      }
+    } while (iterations < this.MCTS_ITERATIONS && Date.now() < deadline);
 
-      if (score > bestScore) {
-        bestScore = score;
-        bestMove = move;
+    let best = null;
+    for (const child of root.children) {
+      if (legalMoves.includes(child.move) && (best === null || child.visits > best.visits)) {
+        best = child;
       }
+    }
+
+    this.lastSearch = {
+      depth: this.searchDepth,
+      nodes: this.nodes,
+      iterations,
+      reusedVisits,
+      winRate: best ? best.wins / best.visits : null,
+      timeMs: Date.now() - this.startTime
+    };
+
+    return best ? best.move : legalMoves[0];
+  }
 
-      alpha = Math.max(alpha, bestScore);
+  /**
+   * Root of the search tree for the current position
+   * Reuses the stored tree when the game continued from its root (the placements
+   * since then are followed down the tree); starts a new tree after an undo, a
+   * new game or a move the tree never expanded.
+   */
+  getSearchTree() {
+    const engine = this.engine;
+    const history = engine.moveHistory
+      .filter(entry => entry.type === 'placement')
+      .map(entry => entry.index);
+    const tree = this.searchTree;
+
+    let root = null;
+    if (tree && tree.startingPlayer === engine.startingPlayer && history.length === engine.plyCount &&
+        tree.history.length <= history.length && tree.history.every((move, i) => history[i] === move)) {
+      root = tree.root;
+      for (let i = tree.history.length; i < history.length && root !== null; i++) {
+        root = root.children.find(child => child.move === history[i]) || null;
+      }
     }
 
-    return bestMove;
+    if (root === null) {
+      root = this.createSearchNode(null, null, null);
+    }
+    root.parent = null; // Let the rest of the old tree go
+
+    this.searchTree = { root, history, startingPlayer: engine.startingPlayer };
+    return root;
   }
 
   /**
-   * Hard: Minimax depth 3 with alpha-beta pruning and candidate move pruning
+   * Search tree node; wins are counted for the player who made the move
    */
-  getBestMoveHard(legalMoves) {
-    const currentPlayer = this.engine.currentPlayer;
+  createSearchNode(move, player, parent) {
+    this.nodes++;
+    return {
+      move,
+      player,
+      parent,
+      children: [],
+      untried: null, // Candidate moves not expanded yet, best last (filled on first visit)
+      visits: 0,
+      wins: 0
+    };
+  }
+
+  /**
+   * One MCTS iteration: select down the tree by UCT, expand one candidate move,
+   * play a rollout from there and back up its result
+   */
+  runPlayout(root) {
+    const engine = this.engine;
+    const played = [];
+    let node = root;
+
+    // Selection
+    while (!engine.gameOver) {
+      if (node.untried === null) {
+        node.untried = this.getCandidateMoves(engine, engine.getValidMoves(), engine.currentPlayer).reverse();
+      }
+      if (node.untried.length > 0 || node.children.length === 0) {
+        break;
+      }
+      node = this.selectChild(node);
+      played.push(engine.makeMove(node.move));
+    }
+
+    // Expansion
+    if (!engine.gameOver && node.untried.length > 0) {
+      const child = this.createSearchNode(node.untried.pop(), engine.currentPlayer, node);
+      node.children.push(child);
+      played.push(engine.makeMove(child.move));
+      node = child;
+    }
+    this.searchDepth = Math.max(this.searchDepth, played.length);
+
+    // Simulation
+    const reward = this.rollout(engine);
+
+    for (let i = played.length - 1; i >= 0; i--) {
+      engine.unmakeMove(played[i]);
+    }
+
+    // Backpropagation
+    for (let current = node; current !== null; current = current.parent) {
+      current.visits++;
+      if (current.player !== null) {
+        current.wins += current.player === engine.PLAYER_X ? reward : 1 - reward;
+      }
+    }
+  }
+
+  /**
+   * Child with the highest UCT value (win rate plus exploration bonus)
+   */
+  selectChild(node) {
+    const logVisits = Math.log(node.visits);
+    let best = null;
+    let bestValue = -Infinity;
+
+    for (const child of node.children) {
+      const value = child.wins / child.visits +
+        this.MCTS_EXPLORATION * Math.sqrt(logVisits / child.visits);
+      if (value > bestValue) {
+        bestValue = value;
+        best = child;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Play up to ROLLOUT_DEPTH plies from the engine's position, each the best of
+   * ROLLOUT_SAMPLES random moves by evaluateSegments (a winning move always
+   * counts as best), then take the position back
+   * Returns X's result in [0, 1]: 1/0/0.5 for a finished game, otherwise the
+   * evaluation squashed by ROLLOUT_SCALE
+   */
+  rollout(engine) {
+    const played = [];
+
+    for (let ply = 0; ply < this.ROLLOUT_DEPTH && !engine.gameOver; ply++) {
+      const moves = engine.getValidMoves();
+      if (moves.length === 0) {
+        break;
+      }
+
+      const player = engine.currentPlayer;
+      let bestMove = moves[0];
+      let bestScore = -Infinity;
+      for (let i = 0; i < this.ROLLOUT_SAMPLES; i++) {
+        const move = moves[Math.floor(this.rng() * moves.length)];
+        const sample = engine.makeMove(move);
+        const score = engine.winner === player ? Infinity : this.evaluateSegments(engine, player);
+        engine.unmakeMove(sample);
+
+        if (score > bestScore) {
+          bestScore = score;
+          bestMove = move;
+        }
+      }
+
+      played.push(engine.makeMove(bestMove));
+    }
+
+    let reward;
+    if (engine.gameOver) {
+      reward = engine.winner === engine.PLAYER_X ? 1 : (engine.winner === engine.PLAYER_O ? 0 : 0.5);
+    } else {
+      reward = 1 / (1 + Math.exp(-this.evaluateState(engine, engine.PLAYER_X) / this.ROLLOUT_SCALE));
+    }
+
+    for (let i = played.length - 1; i >= 0; i--) {
+      engine.unmakeMove(played[i]);
+    }
+
+    return reward;
+  }
+
+  /**
+   * Pass search statistics to options.onProgress, adding the time spent so far
+   * Called after each completed iterative deepening depth ({ depth, nodes, score })
+   * and every PROGRESS_PLAYOUTS Expert playouts ({ depth, nodes, iterations })
+   */
+  reportProgress(stats) {
+    if (this.onProgress) {
+      this.onProgress({ ...stats, timeMs: Date.now() - this.startTime });
+    }
+  }
+
+  /**
+   * The default opening book, when opening-book.js is available
+   */
+  static getDefaultBook() {
+    if (typeof OpeningBook !== 'undefined') {
+      return OpeningBook.getDefault();
+    }
+    if (typeof require !== 'undefined' && typeof __dirname !== 'undefined') {
+      return require('./opening-book.js').getDefault();
+    }
+    return null;
+  }
 
-    // Build candidate list with pruning
-    const candidates = this.getCandidateMoves(this.engine, legalMoves, currentPlayer);
+  /**
+   * Named weight sets, e.g. written by `node cli.js tune`: cpu-weights.json next
+   * to this file in Node.js, or whatever fetchWeightSets() loaded in a browser
+   * Returns { name: { weights, ... } } (empty if nothing is loaded)
+   */
+  static getWeightSets() {
+    if (CPUPlayer.weightSets === undefined) {
+      CPUPlayer.weightSets = {};
+      if (typeof require !== 'undefined' && typeof __dirname !== 'undefined') {
+        const fs = require('fs');
+        const path = require('path').join(__dirname, 'cpu-weights.json');
+        if (fs.existsSync(path)) {
+          CPUPlayer.loadWeightSets(JSON.parse(fs.readFileSync(path, 'utf8')));
+        }
+      }
+    }
+    return CPUPlayer.weightSets;
+  }
 
-    let bestMove = candidates[0];
+  /**
+   * Weights of a named set; throws if there is no such set
+   */
+  static getWeightSet(name) {
+    const set = CPUPlayer.getWeightSets()[name];
+    if (!set) {
+      throw new Error(`Unknown weight set "${name}"`);
+    }
+    return set.weights;
+  }
+
+  /**
+   * Make the sets of a parsed weights file the named weight sets
+   * File format: { version: 1, sets: { name: { weights, method, ... } } }
+   */
+  static loadWeightSets(data) {
+    if (!data || data.version !== 1) {
+      throw new Error(`Unsupported weights file version ${data ? data.version : undefined} (expected 1)`);
+    }
+    CPUPlayer.weightSets = data.sets || {};
+    return CPUPlayer.weightSets;
+  }
+
+  /**
+   * Fetch the weights file in a browser or worker
+   * Resolves with the sets (empty when the file cannot be fetched, e.g. from file://)
+   */
+  static fetchWeightSets(url = 'cpu-weights.json') {
+    if (typeof fetch === 'undefined') {
+      return Promise.resolve(CPUPlayer.getWeightSets());
+    }
+
+    return fetch(url)
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => (data ? CPUPlayer.loadWeightSets(data) : {}))
+      .catch(() => ({}))
+      .then(sets => {
+        CPUPlayer.weightSets = sets;
+        return sets;
+      });
+  }
+
+  /**
+   * Seeded random number generator (mulberry32) returning floats in [0, 1)
+   */
+  static createRng(seed) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Search speed on positions from seeded random openings (`node cli.js benchmark`)
+   * Each position gets a fresh CPU and a fixed-depth search with no time limit,
+   * so node counts are reproducible and only the time varies between runs.
+   * With baseline, the same positions are searched with a clone() per node (see
+   * useCloneSearch), so both runs count the same nodes.
+   * @param {Object} options - { positions, depth, seed, baseline } (defaults 20, 4, 1, false)
+   * Returns { positions, depth, nodes, timeMs }
+   */
+  static benchmark(options = {}) {
+    const Engine = typeof GameEngine !== 'undefined' ? GameEngine : require('./game-engine.js');
+    const positions = options.positions || 20;
+    const depth = options.depth || 4;
+    const rng = CPUPlayer.createRng(options.seed === undefined ? 1 : options.seed);
+    let nodes = 0;
+    let timeMs = 0;
+
+    for (let i = 0; i < positions; i++) {
+      // Toss once, so clones made during the search do not draw from rng
+      const toss = rng() < 0.5 ? 0 : 1;
+      const engine = new Engine({ rng: () => toss });
+      const openingPlies = 2 + Math.floor(rng() * 4);
+      while (engine.plyCount < openingPlies && !engine.gameOver) {
+        const moves = engine.getValidMoves();
+        engine.applyMove(moves[Math.floor(rng() * moves.length)]);
+      }
+
+      if (options.baseline) {
+        CPUPlayer.useCloneSearch(engine);
+      }
+      const cpu = new CPUPlayer(engine, 'hard', { maxTimeMs: Number.MAX_SAFE_INTEGER, book: null });
+      cpu.startTime = Date.now();
+      cpu.iterativeDeepening(engine.getValidMoves(), depth);
+
+      nodes += cpu.lastSearch.nodes;
+      timeMs += cpu.lastSearch.timeMs;
+    }
+
+    return { positions, depth, nodes, timeMs };
+  }
+
+  /**
+   * Make an engine's search moves cost what they did before makeMove/unmakeMove:
+   * a clone() of the whole engine per node (restoring the copy's fields on
+   * unmakeMove costs little next to it)
+   */
+  static useCloneSearch(engine) {
+    const makeMove = Object.getPrototypeOf(engine).makeMove;
+    engine.makeMove = index => {
+      const before = engine.clone();
+      makeMove.call(engine, index);
+      return before;
+    };
+    engine.unmakeMove = before => {
+      Object.assign(engine, before);
+    };
+  }
+
+  /**
+   * Search depth 1, 2, ... maxDepth, trying the best moves of the previous
+   * iteration first. An iteration cut short by MAX_TIME_MS is discarded, so the
+   * result is always the best move of the last completed depth (depth 1 always
+   * completes).
+   * @param {Array} rootMoves - Moves to consider for the current player
+   * @param {number} maxDepth - Deepest search in plies, counting the root move
+   */
+  iterativeDeepening(rootMoves, maxDepth) {
+    const perspective = this.engine.currentPlayer;
+    this.nodes = 0;
+    this.timedOut = false;
+
+    let ordered = rootMoves.slice();
+    let bestMove = ordered[0];
     let bestScore = -Infinity;
-    let alpha = -Infinity;
-    let beta = Infinity;
+    let completedDepth = 0;
 
-    for (const move of candidates) {
-      const cloned = this.engine.clone();
-      cloned.applyMove(move);
+    for (let depth = 1; depth <= maxDepth; depth++) {
+      this.deadline = depth === 1 ? Infinity : this.startTime + this.MAX_TIME_MS;
 
-      const score = this.minimax(cloned, 2, false, currentPlayer, alpha, beta);
+      const scores = new Map();
+      let iterationMove = ordered[0];
+      let iterationScore = -Infinity;
+      let alpha = -Infinity;
 
-      if (score > bestScore) {
-        bestScore = score;
-        bestMove = move;
+      for (const move of ordered) {
+        const played = this.engine.makeMove(move);
+        const score = this.minimax(this.engine, depth - 1, false, perspective, alpha, Infinity);
+        this.engine.unmakeMove(played);
+
+        if (this.timedOut) {
+          break;
+        }
+
+        scores.set(move, score);
+        if (score > iterationScore) {
+          iterationScore = score;
+          iterationMove = move;
+        }
+        alpha = Math.max(alpha, iterationScore);
+      }
+
+      if (this.timedOut) {
+        break;
       }
 
-      alpha = Math.max(alpha, bestScore);
+      bestMove = iterationMove;
+      bestScore = iterationScore;
+      completedDepth = depth;
+      this.reportProgress({ depth, nodes: this.nodes, score: bestScore });
+
+      // Stable sort: moves with equal scores keep their previous order
+      ordered = ordered.slice().sort((a, b) => scores.get(b) - scores.get(a));
+
+      // A forced win or loss does not change with more depth
+      if (Math.abs(bestScore) >= this.WIN_SCORE) {
+        break;
+      }
     }
 
+    this.deadline = Infinity;
+    this.lastSearch = {
+      depth: completedDepth,
+      nodes: this.nodes,
+      score: bestScore,
+      timeMs: Date.now() - this.startTime
+    };
+
     return bestMove;
   }
 
+  /**
+   * Analysis for hints: the best candidate moves for the player to move, with
+   * scores and principal variations, plus the immediate wins and forced sequences
+   * on the board. Unlike getBestMove, every candidate is searched with a full
+   * window, so its score is exact rather than a bound and the moves can be ranked.
+   * @param {Object} options - { count: moves to return (default 3), depth: plies (default 3) }
+   * Returns {
+   *   player, depth, nodes,
+   *   moves: [{ move, score, outcome, pv }] best first; pv is the expected line starting
+   *     with move; outcome is "win" or "loss" when the score is a win or forced sequence
+   *     for either side, otherwise null
+   *   winningMove: a move that wins now, or null
+   *   blockingMove: a move taking the cell where the opponent would win with their
+   *     next placement, or null (see findBlockingMove)
+   *   forcedWin, opponentForcedWin: findForcedWin() for each player
+   * }
+   */
+  analysePosition(options = {}) {
+    const count = options.count || 3;
+    const depth = options.depth || 3;
+    const engine = this.engine;
+    const player = engine.currentPlayer;
+    const opponent = engine.getOpponent(player);
+    const legalMoves = engine.getValidMoves();
+
+    this.startTime = Date.now();
+    this.deadline = Infinity;
+    this.timedOut = false;
+    this.nodes = 0;
+
+    const analysis = {
+      player,
+      depth,
+      nodes: 0,
+      moves: [],
+      winningMove: null,
+      blockingMove: null,
+      forcedWin: null,
+      opponentForcedWin: null
+    };
+    if (engine.gameOver || legalMoves.length === 0) {
+      return analysis;
+    }
+
+    analysis.winningMove = this.findImmediateWin(player, legalMoves);
+    analysis.blockingMove = this.findBlockingMove(legalMoves);
+    analysis.forcedWin = this.findForcedWin(engine, player);
+    analysis.opponentForcedWin = this.findForcedWin(engine, opponent);
+
+    // Deepen one ply at a time so each depth is ordered by the table entries of the last
+    const candidates = this.getCandidateMoves(engine, legalMoves, player);
+    let scored = [];
+    for (let d = 1; d <= depth; d++) {
+      scored = candidates.map(move => ({ move, score: this.scoreMove(move, d) }));
+    }
+
+    // Forced sequences score about weights.forcedWin, wins more; positional scores far less
+    const decisive = this.weights.forcedWin / 2;
+    scored.sort((a, b) => (b.score !== a.score ? b.score - a.score : a.move - b.move));
+    analysis.moves = scored.slice(0, count).map(({ move, score }) => ({
+      move,
+      score,
+      outcome: score >= decisive ? 'win' : (score <= -decisive ? 'loss' : null),
+      pv: this.getPrincipalVariation(move, depth, player)
+    }));
+    analysis.nodes = this.nodes;
+
+    return analysis;
+  }
+
+  /**
+   * Whether the CPU, playing `player`, accepts a draw offered in the current
+   * position: only when its evaluation does not have it ahead by more than DRAW_MARGIN
+   */
+  acceptsDraw(player) {
+    if (this.engine.gameOver) {
+      return false;
+    }
+    return this.evaluateState(this.engine, player) <= this.DRAW_MARGIN;
+  }
+
+  /**
+   * Exact score of a move for the player to move, searched depth plies in all
+   * (the move included) with a full window and no time limit
+   */
+  scoreMove(move, depth) {
+    const engine = this.engine;
+    const player = engine.currentPlayer;
+    this.deadline = Infinity;
+    this.timedOut = false;
+
+    const played = engine.makeMove(move);
+    const score = this.minimax(engine, depth - 1, false, player, -Infinity, Infinity);
+    engine.unmakeMove(played);
+    return score;
+  }
+
+  /**
+   * Expected line after a root move: follow the transposition table's best
+   * moves from the position it leads to, up to depth moves in all
+   */
+  getPrincipalVariation(move, depth, perspective) {
+    const engine = this.engine;
+    const pv = [move];
+    const played = [engine.makeMove(move)];
+
+    while (pv.length < depth && !engine.gameOver) {
+      const entry = this.transpositionTable.get(this.hashPosition(engine, perspective));
+      if (!entry || entry.bestMove === null || !engine.getValidMoves().includes(entry.bestMove)) {
+        break;
+      }
+      pv.push(entry.bestMove);
+      played.push(engine.makeMove(entry.bestMove));
+    }
+
+    for (let i = played.length - 1; i >= 0; i--) {
+      engine.unmakeMove(played[i]);
+    }
+
+    return pv;
+  }
+
   /**
    * Find immediate winning move for player
    * Returns move index or null
    */
   findImmediateWin(player, legalMoves) {
     for (const move of legalMoves) {
-      const cloned = this.engine.clone();
-      const result = cloned.applyMove(move);
+      const played = this.engine.makeMove(move);
+      const wins = this.engine.winner === player;
+      this.engine.unmakeMove(played);
 
-      if (result.gameOver && result.winner === player) {
+      if (wins) {
         return move;
       }
     }
@@ -237,12 +872,43 @@ class CPUPlayer {
     return null;
   }
 
+  /**
+   * Find a legal move on the cell where the opponent of the player to move
+   * would win with their next placement, in the half they place in next ply
+   * Returns move index, or null if there is no such threat to take
+   */
+  findBlockingMove(legalMoves) {
+    const engine = this.engine;
+    const opponent = engine.getOpponent(engine.currentPlayer);
+
+    // Hand the turn to the opponent as if the player to move had passed
+    const pass = engine.makeMove(engine.PASS);
+    const opponentMoves = new Set(engine.getValidMoves());
+    let blockingMove = null;
+
+    for (const move of legalMoves) {
+      if (!opponentMoves.has(move)) {
+        continue;
+      }
+      const played = engine.makeMove(move);
+      const wins = engine.winner === opponent;
+      engine.unmakeMove(played);
+
+      if (wins) {
+        blockingMove = move;
+        break;
+      }
+    }
+
+    engine.unmakeMove(pass);
+    return blockingMove;
+  }
+
   /**
    * Get candidate moves for Hard mode (pruned move list)
    * Always includes wins and blocks, then top K heuristic moves
    */
   getCandidateMoves(engine, legalMoves, player) {
-    const opponent = engine.getOpponent(player);
     const candidates = new Set();
 
     // Always include immediate wins
@@ -252,7 +918,7 @@ class CPUPlayer {
     }
 
     // Always include immediate blocks
-    const blockingMove = this.findImmediateWin(opponent, legalMoves);
+    const blockingMove = this.findBlockingMove(legalMoves);
     if (blockingMove !== null) {
       candidates.add(blockingMove);
     }
@@ -261,9 +927,9 @@ class CPUPlayer {
     const scoredMoves = [];
     for (const move of legalMoves) {
       if (!candidates.has(move)) {
-        const cloned = engine.clone();
-        cloned.applyMove(move);
-        const score = this.evaluateState(cloned, player);
+        const played = engine.makeMove(move);
+        const score = this.evaluateState(engine, player);
+        engine.unmakeMove(played);
         scoredMoves.push({ move, score });
       }
     }
@@ -296,9 +962,12 @@ class CPUPlayer {
    * @param {number} beta - Beta value for pruning
    */
   minimax(engine, depth, isMaximizing, perspective, alpha, beta) {
-    // Time budget check
-    if (Date.now() - this.startTime > this.MAX_TIME_MS) {
-      return this.evaluateState(engine, perspective);
+    this.nodes++;
+
+    // Time budget check: abandon the search (iterativeDeepening discards it)
+    if (this.timedOut || Date.now() > this.deadline) {
+      this.timedOut = true;
+      return 0;
     }
 
     // Terminal conditions
@@ -315,41 +984,156 @@ class CPUPlayer {
       return this.evaluateState(engine, perspective);
     }
 
-    if (isMaximizing) {
-      let maxEval = -Infinity;
+    // Transposition table lookup
+    const key = this.hashPosition(engine, perspective);
+    const entry = this.transpositionTable.get(key);
+    if (entry && entry.depth >= depth) {
+      if (entry.flag === this.TT_EXACT ||
+          (entry.flag === this.TT_LOWER && entry.score >= beta) ||
+          (entry.flag === this.TT_UPPER && entry.score <= alpha)) {
+        return entry.score;
+      }
+    }
+
+    // Move ordering: the best move found for this position earlier goes first
+    let moves = legalMoves;
+    if (entry && entry.bestMove !== null && legalMoves.includes(entry.bestMove)) {
+      moves = [entry.bestMove, ...legalMoves.filter(move => move !== entry.bestMove)];
+    }
+
+    const alphaStart = alpha;
+    const betaStart = beta;
+    let bestScore = isMaximizing ? -Infinity : Infinity;
+    let bestMove = null;
 
-      for (const move of legalMoves) {
-        const cloned = engine.clone();
-        cloned.applyMove(move);
+    for (const move of moves) {
+      const played = engine.makeMove(move);
+      const eval_score = this.minimax(engine, depth - 1, !isMaximizing, perspective, alpha, beta);
+      engine.unmakeMove(played);
+
+      if (this.timedOut) {
+        return 0;
+      }
+
+      if (isMaximizing ? eval_score > bestScore : eval_score < bestScore) {
+        bestScore = eval_score;
+        bestMove = move;
+      }
 
-        const eval_score = this.minimax(cloned, depth - 1, false, perspective, alpha, beta);
-        maxEval = Math.max(maxEval, eval_score);
+      if (isMaximizing) {
         alpha = Math.max(alpha, eval_score);
+      } else {
+        beta = Math.min(beta, eval_score);
+      }
 
-        if (beta <= alpha) {
-          break; // Beta cutoff
-        }
+      if (beta <= alpha) {
+        break; // Cutoff
       }
+    }
 
-      return maxEval;
-    } else {
-      let minEval = Infinity;
+    let flag = this.TT_EXACT;
+    if (bestScore <= alphaStart) {
+      flag = this.TT_UPPER;
+    } else if (bestScore >= betaStart) {
+      flag = this.TT_LOWER;
+    }
+    this.storeTransposition(key, { depth, score: bestScore, flag, bestMove });
 
-      for (const move of legalMoves) {
-        const cloned = engine.clone();
-        cloned.applyMove(move);
+    return bestScore;
+  }
 
-        const eval_score = this.minimax(cloned, depth - 1, true, perspective, alpha, beta);
-        minEval = Math.min(minEval, eval_score);
-        beta = Math.min(beta, eval_score);
+  /**
+   * Random 32-bit key pairs for Zobrist hashing (fixed seed, so hashes are reproducible)
+   * One pair per (player, cell, FIFO age rank), plus activeHalf, side to move and perspective;
+   * ply count pairs are drawn from nextPair as hashPosition first needs them
+   */
+  precomputeZobristKeys(maxOnBoard) {
+    let seed = 0x9E3779B9;
+    const random32 = () => {
+      // xorshift32
+      seed ^= seed << 13;
+      seed ^= seed >>> 17;
+      seed ^= seed << 5;
+      return seed >>> 0;
+    };
+    const pair = () => [random32(), random32()];
+
+    const ranks = Math.max(maxOnBoard || 8, 1);
+    const pieces = {};
+    for (const player of ['X', 'O']) {
+      pieces[player] = Array.from({ length: this.CELLS_COUNT }, () => Array.from({ length: ranks }, pair));
+    }
 
-        if (beta <= alpha) {
-          break; // Alpha cutoff
-        }
+    return {
+      ranks,
+      pieces,
+      activeHalfX: pair(),
+      xToMove: pair(),
+      perspectiveX: pair(),
+      plies: [],
+      nextPair: pair
+    };
+  }
+
+  /**
+   * Zobrist hash of a position as a 53-bit integer
+   * Keyed on every piece's cell, owner and age rank among its owner's pieces
+   * (0 = next out under FIFO), activeHalf, side to move and the search perspective
+   * (scores are stored from the perspective's point of view). During the opening
+   * or under a move limit the ply count is keyed too: the same pieces then
+   * play on under a different schedule or nearer the draw.
+   */
+  hashPosition(engine, perspective) {
+    const keys = this.zobristKeys;
+    let hi = 0;
+    let lo = 0;
+    const mix = ([a, b]) => {
+      hi ^= a;
+      lo ^= b;
+    };
+
+    const pieces = [];
+    for (let i = 0; i < this.CELLS_COUNT; i++) {
+      const data = engine.pieceData[i];
+      if (data) {
+        pieces.push({ index: i, player: data.player, plyIndex: data.plyIndex });
+      }
+    }
+    pieces.sort((a, b) => a.plyIndex - b.plyIndex);
+
+    const rank = { X: 0, O: 0 };
+    for (const piece of pieces) {
+      const age = Math.min(rank[piece.player]++, keys.ranks - 1);
+      mix(keys.pieces[piece.player][piece.index][age]);
+    }
+
+    if (engine.activeHalf === 'X') {
+      mix(keys.activeHalfX);
+    }
+    if (engine.currentPlayer === 'X') {
+      mix(keys.xToMove);
+    }
+    if (perspective === 'X') {
+      mix(keys.perspectiveX);
+    }
+    if (engine.isOpeningPhase() || engine.rules.moveLimit) {
+      while (keys.plies.length <= engine.plyCount) {
+        keys.plies.push(keys.nextPair());
       }
+      mix(keys.plies[engine.plyCount]);
+    }
 
-      return minEval;
+    return (hi >>> 0) * 2097152 + ((lo >>> 0) >>> 11);
+  }
+
+  /**
+   * Store a transposition table entry, starting over when the table is full
+   */
+  storeTransposition(key, entry) {
+    if (this.transpositionTable.size >= this.TT_MAX_ENTRIES) {
+      this.transpositionTable.clear();
     }
+    this.transpositionTable.set(key, entry);
   }
 
   /**
@@ -372,29 +1156,53 @@ class CPUPlayer {
   evaluateState(engine, perspective) {
     const opponent = engine.getOpponent(perspective);
 
+    const fifo = {
+      [perspective]: this.getFifoRanks(engine, perspective),
+      [opponent]: this.getFifoRanks(engine, opponent)
+    };
+
+    const forced = { [perspective]: Infinity, [opponent]: Infinity };
+
     let score = 0;
 
-    // 1. Threat scoring via segments
-    score += this.evaluateSegments(engine, perspective);
+    // 1. Threat scoring via segments (also finds forced sequences)
+    score += this.evaluateSegments(engine, perspective, fifo, forced);
 
     // 2. Positional bias (prefer squares with high influence in opponent's half)
     score += this.evaluatePositionalBias(engine, perspective);
 
-    // 3. FIFO awareness penalty (light)
-    // If we're at cap, slightly prefer moves that don't remove critical pieces
-    // This is a simplified version - full FIFO awareness would be more complex
+    // 3. Forced sequences: the first unblockable line to complete decides the game
+    score += this.scoreForcedWins(forced[perspective], forced[opponent]);
 
     return score;
   }
 
   /**
    * Evaluate all segments for threat scoring
+   * Each side's threats are scaled by fifoMultiplier, so threats built on pieces
+   * FIFO is about to remove count for little - for both the CPU and the opponent -
+   * and by halfMultiplier, so threats count less when their half is not playable soon
+   * @param {Object} fifo - getFifoRanks() per player, if already computed
+   * @param {Object} forced - If given, forced[player] is lowered to the plies of
+   *   the player's quickest forced win (see findForcedWin)
    */
-  evaluateSegments(engine, perspective) {
+  evaluateSegments(engine, perspective, fifo = null, forced = null) {
     const opponent = engine.getOpponent(perspective);
+    fifo = fifo || {
+      [perspective]: this.getFifoRanks(engine, perspective),
+      [opponent]: this.getFifoRanks(engine, opponent)
+    };
+    const { reach, forcedPlies } = this.getTurnSchedule(engine);
+    const perspectiveReach = reach[perspective];
+    const opponentReach = reach[opponent];
     let score = 0;
 
     for (const segment of this.allSegments) {
+      // Segments straddling the halves can never win for either player
+      if (segment.isMixed) {
+        continue;
+      }
+
       // Only evaluate segments in opponent's half (where perspective can win)
       const isRelevantForPerspective =
         (perspective === 'X' && segment.inOHalf) ||
@@ -407,41 +1215,34 @@ class CPUPlayer {
       // Count pieces in this segment
       let perspectiveCount = 0;
       let opponentCount = 0;
-      let emptyCount = 0;
 
       for (const idx of segment.indices) {
         if (engine.board[idx] === perspective) {
           perspectiveCount++;
         } else if (engine.board[idx] === opponent) {
           opponentCount++;
-        } else {
-          emptyCount++;
         }
       }
 
       // Score perspective's threats in opponent's half
-      if (isRelevantForPerspective && opponentCount === 0) {
-        if (perspectiveCount === 4) {
-          score += 1000; // Winning position (shouldn't happen in non-terminal)
-        } else if (perspectiveCount === 3 && emptyCount === 1) {
-          score += 100; // Strong threat
-        } else if (perspectiveCount === 2 && emptyCount === 2) {
-          score += 10; // Medium threat
-        } else if (perspectiveCount === 1 && emptyCount === 3) {
-          score += 1; // Weak threat
+      if (isRelevantForPerspective && opponentCount === 0 && perspectiveCount > 0) {
+        score += this.threatWeight(perspectiveCount) * perspectiveReach *
+          this.fifoMultiplier(segment.indices, perspectiveCount, fifo[perspective]);
+
+        if (forced) {
+          forced[perspective] = Math.min(forced[perspective],
+            this.forcedWinPlies(segment.indices, perspectiveCount, forcedPlies[perspective], fifo[perspective]));
         }
       }
 
       // Penalize opponent's threats in perspective's half
-      if (isRelevantForOpponent && perspectiveCount === 0) {
-        if (opponentCount === 4) {
-          score -= 1000; // Losing position
-        } else if (opponentCount === 3 && emptyCount === 1) {
-          score -= 100; // Must block
-        } else if (opponentCount === 2 && emptyCount === 2) {
-          score -= 10; // Moderate threat
-        } else if (opponentCount === 1 && emptyCount === 3) {
-          score -= 1; // Weak threat
+      if (isRelevantForOpponent && perspectiveCount === 0 && opponentCount > 0) {
+        score -= this.threatWeight(opponentCount) * opponentReach *
+          this.fifoMultiplier(segment.indices, opponentCount, fifo[opponent]);
+
+        if (forced) {
+          forced[opponent] = Math.min(forced[opponent],
+            this.forcedWinPlies(segment.indices, opponentCount, forcedPlies[opponent], fifo[opponent]));
         }
       }
     }
@@ -449,22 +1250,272 @@ class CPUPlayer {
     return score;
   }
 
+  /**
+   * Weight of a segment holding count pieces of one player and no opponent pieces
+   * Weights are named for 4 in a row and go by the pieces still missing, so with
+   * another WIN_LENGTH "three" is one short of a line, "two" two short, and so on
+   */
+  threatWeight(count) {
+    switch (4 - (this.WIN_LENGTH - count)) {
+      case 4:
+        return this.weights.four; // Complete (shouldn't happen in non-terminal)
+      case 3:
+        return this.weights.three; // Strong threat
+      case 2:
+        return this.weights.two; // Medium threat
+      default:
+        return this.weights.one; // Weak threat
+    }
+  }
+
+  /**
+   * Removal position of each of a player's pieces, from engine.getFifoOrder
+   * Returns { ranks: { index: rank }, count, cap } where rank 0 is the next piece out
+   */
+  getFifoRanks(engine, player) {
+    const count = engine.countPlayerPieces(player);
+    const cap = engine.getPieceCap();
+    const ranks = {};
+
+    // Far enough below the cap, no threat can lose a piece before completing
+    if (count + this.WIN_LENGTH - 1 > cap) {
+      engine.getFifoOrder(player).forEach((index, rank) => {
+        ranks[index] = rank;
+      });
+    }
+
+    return { ranks, count, cap };
+  }
+
+  /**
+   * Scale a threat by whether its pieces outlive FIFO
+   * Completing a segment with pieceCount pieces takes (WIN_LENGTH - pieceCount)
+   * more placements, and every placement over the cap removes the player's oldest
+   * piece before the win is checked. So:
+   * - weights.fifoBroken if one of the segment's pieces is removed on the way
+   * - weights.fifoSafe if the player is at the cap and the pieces would also
+   *   survive weights.fifoHorizon further removals
+   * - 1 otherwise
+   */
+  fifoMultiplier(indices, pieceCount, fifo) {
+    const removals = this.fifoRemovalsBeforeComplete(pieceCount, fifo);
+    const oldestRank = this.oldestFifoRank(indices, fifo);
+
+    if (oldestRank < removals) {
+      return this.weights.fifoBroken;
+    }
+    if (fifo.count >= fifo.cap && oldestRank >= removals + this.weights.fifoHorizon) {
+      return this.weights.fifoSafe;
+    }
+    return 1;
+  }
+
+  /**
+   * Number of the player's pieces FIFO removes while they place the
+   * (WIN_LENGTH - pieceCount) pieces that complete a segment
+   */
+  fifoRemovalsBeforeComplete(pieceCount, fifo) {
+    const placementsNeeded = this.WIN_LENGTH - pieceCount;
+    return Math.max(0, Math.min(placementsNeeded, fifo.count + placementsNeeded - fifo.cap));
+  }
+
+  /**
+   * Lowest FIFO rank among the player's pieces in a segment (Infinity if none are ranked)
+   */
+  oldestFifoRank(indices, fifo) {
+    let oldestRank = Infinity;
+    for (const idx of indices) {
+      const rank = fifo.ranks[idx];
+      if (rank !== undefined && rank < oldestRank) {
+        oldestRank = rank;
+      }
+    }
+    return oldestRank;
+  }
+
+  /**
+   * Upcoming turns for a position, cached by whose turn it is and the active half
+   * (the only state the schedule depends on while the game is running, but for
+   * the ply during the opening phase, whose halves are fixed per ply); finished
+   * games have no upcoming turns and share those keys, so they are not cached
+   * Returns { turns, reach, forcedPlies } where, per player, reach is the
+   * halfMultiplier for their winning half and forcedPlies lists, for n = 1, 2, ...,
+   * the ply completing their n-th placement there before the opponent gets a turn there
+   */
+  getTurnSchedule(engine) {
+    const byHalf = this.turnSchedules[engine.currentPlayer];
+    const key = engine.isOpeningPhase()
+      ? `${engine.activeHalf}@${engine.plyCount}`
+      : engine.activeHalf;
+    let schedule = byHalf[key];
+    if (!schedule) {
+      const turns = engine.getUpcomingTurns(2 * this.FORCED_PLACEMENTS);
+      schedule = {
+        turns,
+        reach: {
+          X: this.halfMultiplier(turns, 'X', 'O'),
+          O: this.halfMultiplier(turns, 'O', 'X')
+        },
+        forcedPlies: {
+          X: this.forcedPlacementPlies(turns, 'X', 'O'),
+          O: this.forcedPlacementPlies(turns, 'O', 'X')
+        }
+      };
+      if (!engine.gameOver) {
+        byHalf[key] = schedule;
+      }
+    }
+    return schedule;
+  }
+
+  /**
+   * Plies at which a player completes 1, 2, ... placements in a half before
+   * the opponent's first turn there (which could block); a turn with no
+   * active half (free placement) can go to either half
+   */
+  forcedPlacementPlies(turns, player, half) {
+    const plies = [];
+    for (let i = 0; i < turns.length && plies.length < this.FORCED_PLACEMENTS; i++) {
+      if (turns[i].half !== null && turns[i].half !== half) {
+        continue;
+      }
+      if (turns[i].player !== player) {
+        break;
+      }
+      plies.push(i + 1);
+    }
+    return plies;
+  }
+
+  /**
+   * Scale a player's threats in a half by how soon they can place there
+   * Only one half is active per ply, so a three in a half the player cannot play
+   * in on their next turn has to wait (or may never be completed)
+   * - 1 if the player's next turn is in that half
+   * - weights.halfDelayed if a later turn within the given turns is
+   * - weights.halfUnreachable otherwise
+   */
+  halfMultiplier(turns, player, half) {
+    let ownTurns = 0;
+    for (const turn of turns) {
+      if (turn.player !== player) {
+        continue;
+      }
+      if (turn.half === half || turn.half === null) {
+        return ownTurns === 0 ? 1 : this.weights.halfDelayed;
+      }
+      ownTurns++;
+    }
+    return this.weights.halfUnreachable;
+  }
+
+  /**
+   * Find the quickest line a player can complete before the opponent can block it
+   * The opponent can only place in a line's half on plies when that half is
+   * active, so a line needing n more pieces is forced when the player gets n
+   * turns in its half before the opponent gets one there - and FIFO does not
+   * remove any of its pieces on the way.
+   * Returns { line, empty, plies } where empty lists the cells still to fill and
+   * plies counts from now up to the completing placement; null if there is none
+   */
+  findForcedWin(engine, player) {
+    // Players win only in the opponent's half
+    const opponent = engine.getOpponent(player);
+    const placementPlies = this.getTurnSchedule(engine).forcedPlies[player];
+    const fifo = this.getFifoRanks(engine, player);
+    let best = null;
+
+    for (const segment of this.segmentsInHalf[opponent]) {
+      let pieceCount = 0;
+      let opponentCount = 0;
+      for (const idx of segment.indices) {
+        if (engine.board[idx] === player) {
+          pieceCount++;
+        } else if (engine.board[idx] === opponent) {
+          opponentCount++;
+        }
+      }
+      if (opponentCount > 0) {
+        continue;
+      }
+
+      const plies = this.forcedWinPlies(segment.indices, pieceCount, placementPlies, fifo);
+      if (plies !== Infinity && (best === null || plies < best.plies)) {
+        best = { line: segment.indices, plies };
+      }
+    }
+
+    if (best !== null) {
+      best.empty = best.line.filter(idx => engine.board[idx] === this.engine.EMPTY);
+    }
+    return best;
+  }
+
+  /**
+   * Plies until a player completes a segment holding pieceCount of their pieces
+   * and none of the opponent's, or Infinity if the opponent could block it first
+   * or FIFO removes one of its pieces on the way
+   * @param {Array} placementPlies - The player's getTurnSchedule().forcedPlies
+   * @param {Object} fifo - The player's getFifoRanks()
+   */
+  forcedWinPlies(indices, pieceCount, placementPlies, fifo) {
+    const placementsNeeded = this.WIN_LENGTH - pieceCount;
+    if (placementsNeeded === 0 || placementsNeeded > placementPlies.length) {
+      return Infinity;
+    }
+    const removals = this.fifoRemovalsBeforeComplete(pieceCount, fifo);
+    if (removals > 0 && this.oldestFifoRank(indices, fifo) < removals) {
+      return Infinity;
+    }
+    return placementPlies[placementsNeeded - 1];
+  }
+
+  /**
+   * Score forced sequences given each player's quickest forced win in plies
+   * Whoever's forced line completes first wins, so only that one counts:
+   * +/- (weights.forcedWin - plies), preferring quicker wins and slower losses
+   */
+  scoreForcedWins(minePlies, theirsPlies) {
+    if (minePlies < theirsPlies) {
+      return this.weights.forcedWin - minePlies;
+    }
+    if (theirsPlies !== Infinity) {
+      return -(this.weights.forcedWin - theirsPlies);
+    }
+    return 0;
+  }
+
+  /**
+   * A move continuing the player to move's forced sequence, if it wins the race
+   * Returns a cell of the line that is legal now, or null
+   */
+  findForcedMove(engine, legalMoves) {
+    const player = engine.currentPlayer;
+    const mine = this.findForcedWin(engine, player);
+    if (mine === null) {
+      return null;
+    }
+
+    const theirs = this.findForcedWin(engine, engine.getOpponent(player));
+    if (theirs !== null && theirs.plies < mine.plies) {
+      return null;
+    }
+
+    const move = mine.empty.find(index => legalMoves.includes(index));
+    return move === undefined ? null : move;
+  }
+
   /**
    * Evaluate positional bias based on square influence
    */
   evaluatePositionalBias(engine, perspective) {
     let score = 0;
-    const TOP_HALF_MAX = 31;
 
     for (let i = 0; i < this.CELLS_COUNT; i++) {
       if (engine.board[i] === perspective) {
         // Bonus for pieces in opponent's half with high influence
-        const inOpponentHalf =
-          (perspective === 'X' && i <= TOP_HALF_MAX) ||
-          (perspective === 'O' && i > TOP_HALF_MAX);
-
-        if (inOpponentHalf) {
-          score += this.squareInfluence[i] * 0.5;
+        if (engine.isInOpponentHalf(i, perspective)) {
+          score += this.squareInfluence[i] * this.weights.influence;
         }
       }
     }
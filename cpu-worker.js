@@ -0,0 +1,309 @@
+/**
+ * CPU Search in a Web Worker
+ *
+ * CPUPlayer.getBestMove() runs synchronously, so a Hard or Expert search would
+ * freeze the page for up to MAX_TIME_MS. This file is both:
+ * - The worker script: loaded with new Worker("cpu-worker.js"), it answers
+ *   search requests with a GameEngine and CPUPlayer of its own
+ * - CPUWorker, used by the page: sends requests, relays progress and results,
+ *   cancels searches, and searches on the page itself when workers are
+ *   unavailable (no Worker support, pages opened from file://, Node.js)
+ *
+ * Messages to the worker:
+ *   { type: "search", id, state, difficulty, options }
+ *   { type: "analyse", id, state, difficulty, options, analysis }
+ *   { type: "review", id, state, review }
+ *   where state is GameEngine.getState(), options are CPUPlayer options
+ *   (plain data only, no functions), analysis the analysePosition options and
+ *   review the GameReview options (depth, thresholds)
+ *
+ * Messages from the worker:
+ *   { type: "progress", id, stats }     stats as passed to CPUPlayer's onProgress
+ *   { type: "result", id, move, stats } stats is the CPU's lastSearch (null when
+ *                                       no search was needed, e.g. a winning move)
+ *   { type: "analysis", id, analysis }  CPUPlayer.analysePosition() result
+ *   { type: "review", id, review }      GameReview.reviewGame() result; progress
+ *                                       stats are { ply, plies } while reviewing
+ *   { type: "error", id, message }
+ *
+ * A running search cannot be interrupted inside the worker, so cancel()
+ * terminates the worker and the next search starts a new one. Messages for any
+ * request but the latest are ignored.
+ */
+
+class CPUWorker {
+  /**
+   * @param {Object} options
+   * @param {string} options.scriptUrl - URL of this file (default "cpu-worker.js")
+   * @param {Function} options.createWorker - Worker factory taking the script URL
+   *   (defaults to new Worker); returning null or throwing means searching on the page
+   */
+  constructor(options = {}) {
+    this.scriptUrl = options.scriptUrl || 'cpu-worker.js';
+    this.createWorker = options.createWorker || CPUWorker.defaultWorkerFactory;
+    this.worker = null;
+    this.workerAvailable = true; // Cleared once a worker cannot be created or loaded
+    this.session = CPUWorker.createSession(); // Engine and CPU for searches on the page
+    this.nextId = 1;
+    this.pending = null; // { id, request, callbacks, timer } of the search in progress
+  }
+
+  /**
+   * Create a Web Worker if the environment has them
+   */
+  static defaultWorkerFactory(url) {
+    return typeof Worker !== 'undefined' ? new Worker(url) : null;
+  }
+
+  /**
+   * State kept between requests, so the transposition table and the Expert
+   * search tree carry over from one move to the next
+   */
+  static createSession() {
+    return { engine: null, cpu: null, key: null, requestId: null, post: null };
+  }
+
+  /**
+   * Answer a search request (in the worker, or on the page as the fallback)
+   * @param {Object} session - From createSession()
+   * @param {Object} request - A "search", "analyse" or "review" message
+   * @param {Function} post - Sends a reply message
+   */
+  static handleRequest(session, request, post) {
+    try {
+      const Engine = typeof GameEngine !== 'undefined' ? GameEngine : require('./game-engine.js');
+      const Player = typeof CPUPlayer !== 'undefined' ? CPUPlayer : require('./cpu-player.js');
+
+      if (!session.engine) {
+        session.engine = new Engine();
+      }
+      session.engine.loadState(request.state);
+
+      if (request.type === 'review') {
+        const Review = typeof GameReview !== 'undefined' ? GameReview : require('./game-review.js');
+        const reviewer = new Review({
+          ...request.review,
+          onProgress: stats => post({ type: 'progress', id: request.id, stats })
+        });
+        post({ type: 'review', id: request.id, review: reviewer.reviewGame(session.engine) });
+        return;
+      }
+
+      // A new CPU when its settings change; the FIFO cap and board size its hash keys
+      const options = request.options || {};
+      const key = JSON.stringify([request.difficulty, options, session.engine.getConfig()]);
+      if (session.key !== key) {
+        session.cpu = new Player(session.engine, request.difficulty, {
+          ...options,
+          onProgress: stats => session.post({ type: 'progress', id: session.requestId, stats })
+        });
+        session.key = key;
+      }
+
+      session.requestId = request.id;
+      session.post = post;
+      if (request.type === 'analyse') {
+        post({ type: 'analysis', id: request.id, analysis: session.cpu.analysePosition(request.analysis) });
+      } else {
+        const move = session.cpu.getBestMove();
+        post({ type: 'result', id: request.id, move, stats: session.cpu.lastSearch });
+      }
+    } catch (error) {
+      post({ type: 'error', id: request.id, message: error.message });
+    }
+  }
+
+  /**
+   * Start a search for the engine's current position, cancelling any search in progress
+   * @param {GameEngine} engine - Position to search (copied; the engine is not touched)
+   * @param {string} difficulty - CPUPlayer difficulty
+   * @param {Object} callbacks - { onProgress(stats), onResult(move, stats), onError(message) }
+   * @param {Object} cpuOptions - CPUPlayer options (plain data)
+   * Returns the request id
+   */
+  search(engine, difficulty, callbacks = {}, cpuOptions = {}) {
+    return this.send({ type: 'search', state: engine.getState(), difficulty, options: cpuOptions }, callbacks);
+  }
+
+  /**
+   * Analyse the engine's current position (CPUPlayer.analysePosition), cancelling
+   * any search in progress
+   * @param {GameEngine} engine - Position to analyse (copied; the engine is not touched)
+   * @param {Object} callbacks - { onAnalysis(analysis), onError(message) }
+   * @param {Object} analysisOptions - { count, depth }
+   * Returns the request id
+   */
+  analyse(engine, callbacks = {}, analysisOptions = {}) {
+    return this.send({
+      type: 'analyse',
+      state: engine.getState(),
+      difficulty: 'hard',
+      options: {},
+      analysis: analysisOptions
+    }, callbacks);
+  }
+
+  /**
+   * Review the engine's game (GameReview.reviewGame), cancelling any search in progress
+   * @param {GameEngine} engine - Game to review (copied; the engine is not touched)
+   * @param {Object} callbacks - { onProgress({ ply, plies }), onReview(review), onError(message) }
+   * @param {Object} reviewOptions - { depth, thresholds }
+   * Returns the request id
+   */
+  review(engine, callbacks = {}, reviewOptions = {}) {
+    return this.send({ type: 'review', state: engine.getState(), review: reviewOptions }, callbacks);
+  }
+
+  /**
+   * Post a request to the worker (or run it on the page)
+   */
+  send(message, callbacks) {
+    this.cancel();
+
+    const request = { ...message, id: this.nextId++ };
+    this.pending = { id: request.id, request, callbacks, timer: null };
+
+    const worker = this.getWorker();
+    if (worker) {
+      worker.postMessage(request);
+    } else {
+      this.searchOnPage(this.pending);
+    }
+
+    return request.id;
+  }
+
+  /**
+   * Stop the search in progress; its callbacks are never called
+   */
+  cancel() {
+    if (!this.pending) {
+      return;
+    }
+
+    if (this.pending.timer !== null) {
+      clearTimeout(this.pending.timer);
+    }
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.pending = null;
+  }
+
+  /**
+   * Whether a search is in progress
+   */
+  isSearching() {
+    return this.pending !== null;
+  }
+
+  /**
+   * Whether searches run in a worker (false once falling back to the page)
+   */
+  usesWorker() {
+    return this.workerAvailable;
+  }
+
+  /**
+   * The worker, created on first use; null when searching on the page
+   */
+  getWorker() {
+    if (this.worker || !this.workerAvailable) {
+      return this.worker;
+    }
+
+    try {
+      this.worker = this.createWorker(this.scriptUrl);
+    } catch (error) {
+      // e.g. a SecurityError for pages opened from file://
+      this.worker = null;
+    }
+
+    if (!this.worker) {
+      this.workerAvailable = false;
+      return null;
+    }
+
+    this.worker.onmessage = event => this.handleMessage(event.data);
+    this.worker.onerror = event => this.handleWorkerError(event);
+    return this.worker;
+  }
+
+  /**
+   * Relay a reply to the callbacks of the search in progress
+   */
+  handleMessage(message) {
+    const pending = this.pending;
+    if (!pending || !message || message.id !== pending.id) {
+      return;
+    }
+
+    const { onProgress, onResult, onAnalysis, onReview, onError } = pending.callbacks;
+    if (message.type === 'progress') {
+      if (onProgress) {
+        onProgress(message.stats);
+      }
+      return;
+    }
+
+    this.pending = null;
+    if (message.type === 'result' && onResult) {
+      onResult(message.move, message.stats);
+    } else if (message.type === 'analysis' && onAnalysis) {
+      onAnalysis(message.analysis);
+    } else if (message.type === 'review' && onReview) {
+      onReview(message.review);
+    } else if (message.type === 'error' && onError) {
+      onError(message.message);
+    }
+  }
+
+  /**
+   * The worker script failed to load or crashed: search on the page from now on
+   */
+  handleWorkerError(event) {
+    if (event && event.preventDefault) {
+      event.preventDefault();
+    }
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.workerAvailable = false;
+
+    if (this.pending) {
+      this.searchOnPage(this.pending);
+    }
+  }
+
+  /**
+   * Fallback: run the search on the page once the current event is handled,
+   * so results still arrive asynchronously (the page is busy while it runs)
+   */
+  searchOnPage(pending) {
+    pending.timer = setTimeout(() => {
+      pending.timer = null;
+      CPUWorker.handleRequest(this.session, pending.request, message => this.handleMessage(message));
+    }, 0);
+  }
+}
+
+// Worker entry point: answer requests posted by CPUWorker
+if (typeof WorkerGlobalScope !== 'undefined' && typeof self !== 'undefined' && self instanceof WorkerGlobalScope) {
+  importScripts('game-engine.js', 'cpu-player.js', 'game-review.js', 'opening-book.js');
+
+  // Requests wait until the opening book and weight sets have loaded (or failed to)
+  const loaded = Promise.all([OpeningBook.fetchDefault(), CPUPlayer.fetchWeightSets()]);
+  const session = CPUWorker.createSession();
+  self.onmessage = event => {
+    if (event.data && ['search', 'analyse', 'review'].includes(event.data.type)) {
+      loaded.then(() => CPUWorker.handleRequest(session, event.data, message => self.postMessage(message)));
+    }
+  };
+}
+
+// Export for use in both browser and Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CPUWorker;
+}
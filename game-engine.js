@@ -2,9 +2,9 @@
  * Checkerboard Tic-Tac-Toe Game Engine
  *
  * Rules (Coin Toss + Alternating Halves + FIFO):
- * - 8x8 board
+ * - 8x8 board (default, configurable: boardSize)
  * - Two players: X and O
- * - Win condition: 4-in-a-row entirely in opponent's half
+ * - Win condition: 4-in-a-row (default, configurable: winLength) entirely in opponent's half
  *
  * COIN TOSS:
  * - At game start, randomly determine which player goes first
@@ -21,56 +21,316 @@
  * - MAX_ON_BOARD_PER_PLAYER = 8 (default, configurable)
  * - FIFO removal: When placing 9th piece, automatically remove oldest piece
  *
- * Sides definition:
+ * RULE VARIANTS (config.rules, see configureRules):
+ * - firstPlayer: coin toss (default) or a fixed starting player
+ * - activeHalf: alternating halves (default) or free placement anywhere
+ * - removal: over the cap remove the oldest piece (FIFO, default), the
+ *   newest other piece (Last-In), or nothing (FIFO off: no cap)
+ * - passing: whether a player may pass (applyMove(PASS)) instead of placing
+ * - opening: none (default) or the staged opening, whose first 6 plies go to
+ *   fixed halves (X's, X's, O's, O's, X's, X's) before the halves alternate,
+ *   or an opening schedule of your own, e.g. "XOXO"
+ *
+ * STAGED OPENING PHASE:
+ * - With an opening, the game starts in PHASE_OPENING for OPENING_PLIES plies
+ *   (one per half in the schedule), then moves on to PHASE_OPEN_GAME; without
+ *   one it is in PHASE_OPEN_GAME from the first ply
+ * - FIFO never triggers in the opening: the cap must hold every piece a
+ *   player places in it
+ *
+ * DRAWS (drawReason says which):
+ * - no-moves: the player to move has nowhere to place
+ * - repetition: the same position (pieces in FIFO order, active half and side
+ *   to move) occurs rules.repetitions times (default 3, 0 to play on)
+ * - move-limit: rules.moveLimit plies have been played (default 0, no limit)
+ * - agreement: a draw offered by one player (offerDraw) and accepted by the other
+ *
+ * Sides definition (default 8x8 board):
  * - X's half: rows 5-8 (bottom half, indices 32-63)
  * - O's half: rows 1-4 (top half, indices 0-31)
+ * The boundary is configurable: O's half is the top topHalfRows rows
+ * (default half the board, rounded down) and X's half the rest.
  */
 
 class GameEngine {
+  /**
+   * @param {Object} config
+   * @param {number} config.maxOnBoard - FIFO cap per player (default 8)
+   * @param {number} config.boardSize - Rows and columns (default 8, 3-26)
+   * @param {number} config.winLength - Pieces in a row needed to win (default 4)
+   * @param {number} config.topHalfRows - Rows in O's (top) half (default boardSize / 2, rounded down)
+   * @param {string|Object} config.rules - Rule variant: a RULE_VARIANTS name or rules overriding DEFAULT_RULES
+   * @param {Function} config.rng - Coin toss, returning 0 (X starts) or 1 (O starts)
+   * Throws an Error if the board geometry or the rules are invalid
+   */
   constructor(config = {}) {
-    this.BOARD_SIZE = 8;
-    this.CELLS_COUNT = this.BOARD_SIZE * this.BOARD_SIZE; // 64
-    this.WIN_LENGTH = 4;
     this.EMPTY = "";
     this.PLAYER_X = "X";
     this.PLAYER_O = "O";
 
+    // State format version (getState/loadState)
+    // 1.0 states predate versioning and lack startingPlayer, activeHalf and
+    // fifoWarningsEnabled; 1.1 states lack the board geometry (always 8x8,
+    // 4 in a row); 1.2 states lack the rules (always standard); 1.3 states
+    // may lack the draw rules (they played on); loadState migrates them (see
+    // migrateState)
+    this.VERSION = "1.4";
+
+    // Rule variants
+    this.PASS = -1; // applyMove(PASS) passes the turn when rules.passing is on
+    this.DEFAULT_RULES = {
+      firstPlayer: 'coin-toss', // 'coin-toss', 'X' or 'O'
+      activeHalf: 'alternating', // 'alternating' or 'free' (place anywhere)
+      removal: 'fifo',           // Over the cap: 'fifo' (oldest), 'last-in' (newest) or 'none' (no cap)
+      passing: false,            // Whether a player may pass instead of placing
+      opening: 'none',           // 'none', 'staged' (STAGED_OPENING) or a schedule of halves, e.g. 'XOXO'
+      repetitions: 3,            // Draw when a position occurs this many times (0: never)
+      moveLimit: 0               // Draw once this many plies have been played (0: no limit)
+    };
+    this.RULE_OPTIONS = {
+      firstPlayer: ['coin-toss', 'X', 'O'],
+      activeHalf: ['alternating', 'free'],
+      removal: ['fifo', 'last-in', 'none'],
+      passing: [false, true],
+      opening: ['none', 'staged']
+    };
+    // Numeric rules: 0 turns them off, any other value must be a whole number of at least this
+    this.RULE_MINIMUMS = {
+      repetitions: 2,
+      moveLimit: 1
+    };
+    this.RULE_VARIANTS = {
+      standard: {},
+      'free-placement': { activeHalf: 'free' },
+      'fifo-off': { removal: 'none' },
+      'last-in': { removal: 'last-in' },
+      'pass-allowed': { passing: true },
+      'staged-opening': { opening: 'staged' }
+    };
+    // Active half of each ply of the staged opening
+    this.STAGED_OPENING = ['X', 'X', 'O', 'O', 'X', 'X'];
+
+    // Game phases: the opening (while its schedule lasts), then the open game
+    this.PHASE_OPENING = 'OPENING';
+    this.PHASE_OPEN_GAME = 'OPEN_GAME';
+
+    // Draw reasons (drawReason of a drawn game)
+    this.DRAW_NO_MOVES = 'no-moves';
+    this.DRAW_REPETITION = 'repetition';
+    this.DRAW_MOVE_LIMIT = 'move-limit';
+    this.DRAW_AGREEMENT = 'agreement';
+    this.DRAW_MESSAGES = {
+      'no-moves': 'Draw! No moves left',
+      repetition: 'Draw by repetition!',
+      'move-limit': 'Draw by move limit!',
+      agreement: 'Draw by agreement!'
+    };
+
     // Configuration
     this.MAX_ON_BOARD_PER_PLAYER = config.maxOnBoard || 8;
+    this.configureBoard(config);
+    this.configureRules(config.rules);
+    this.checkOpeningCap();
 
     // RNG for coin toss (injectable for testing)
     // Returns 0 or 1 for determining starting player
     this.rng = config.rng || (() => Math.floor(Math.random() * 2));
 
-    // Row indices that define the boundary
+    this.reset();
+  }
+
+  /**
+   * Set the board geometry (the board must be reset or loaded afterwards)
+   * @param {Object} geometry - { boardSize, winLength, topHalfRows }, defaults as in the constructor
+   * Throws an Error if the geometry is invalid
+   */
+  configureBoard(geometry = {}) {
+    const { boardSize, winLength, topHalfRows } = this.resolveBoard(geometry);
+
+    this.BOARD_SIZE = boardSize;
+    this.CELLS_COUNT = boardSize * boardSize;
+    this.WIN_LENGTH = winLength;
+
+    // Rows that define the boundary (8x8 default):
     // Rows 0-3 (indices 0-31) = O's half (top)
     // Rows 4-7 (indices 32-63) = X's half (bottom)
-    this.TOP_HALF_MAX_INDEX = 31; // Last index in O's half
+    this.TOP_HALF_ROWS = topHalfRows;
+    this.TOP_HALF_MAX_INDEX = topHalfRows * boardSize - 1; // Last index in O's half
+  }
 
-    this.reset();
+  /**
+   * Board geometry with its defaults filled in (the engine is not changed)
+   * Returns { boardSize, winLength, topHalfRows }
+   * Throws an Error if the geometry is invalid
+   */
+  resolveBoard({ boardSize = 8, winLength = 4, topHalfRows = Math.floor(boardSize / 2) } = {}) {
+    if (!Number.isInteger(boardSize) || boardSize < 3 || boardSize > 26) {
+      throw new Error(`Invalid boardSize ${boardSize} (expected 3-26)`);
+    }
+    if (!Number.isInteger(winLength) || winLength < 2 || winLength > boardSize) {
+      throw new Error(`Invalid winLength ${winLength} (expected 2-${boardSize})`);
+    }
+    if (!Number.isInteger(topHalfRows) || topHalfRows < 1 || topHalfRows >= boardSize) {
+      throw new Error(`Invalid topHalfRows ${topHalfRows} (expected 1-${boardSize - 1})`);
+    }
+
+    return { boardSize, winLength, topHalfRows };
+  }
+
+  /**
+   * Set the rule variant (the board must be reset or loaded afterwards)
+   * @param {string|Object} rules - A RULE_VARIANTS name, or rules overriding DEFAULT_RULES
+   * Also sets OPENING_SCHEDULE and OPENING_PLIES from rules.opening
+   * Throws an Error for unknown variants, rules or options
+   */
+  configureRules(rules = {}) {
+    const resolved = this.resolveRules(rules);
+    this.rules = resolved;
+
+    // Active halves of the opening plies (empty without an opening)
+    this.OPENING_SCHEDULE = this.getOpeningSchedule(resolved.opening);
+    this.OPENING_PLIES = this.OPENING_SCHEDULE.length;
+  }
+
+  /**
+   * Rules with DEFAULT_RULES filled in (the engine is not changed)
+   * @param {string|Object} rules - A RULE_VARIANTS name, or rules overriding DEFAULT_RULES
+   * Throws an Error for unknown variants, rules or options
+   */
+  resolveRules(rules = {}) {
+    if (typeof rules === 'string') {
+      if (!this.RULE_VARIANTS[rules]) {
+        throw new Error(`Unknown rules variant "${rules}"`);
+      }
+      rules = this.RULE_VARIANTS[rules];
+    }
+
+    for (const rule of Object.keys(rules)) {
+      if (!(rule in this.DEFAULT_RULES)) {
+        throw new Error(`Unknown rule "${rule}"`);
+      }
+    }
+
+    const resolved = { ...this.DEFAULT_RULES, ...rules };
+    for (const rule of Object.keys(this.DEFAULT_RULES)) {
+      if (!this.isRuleOption(rule, resolved[rule])) {
+        let expected;
+        if (this.RULE_MINIMUMS[rule]) {
+          expected = `0 or a whole number from ${this.RULE_MINIMUMS[rule]}`;
+        } else {
+          const schedule = rule === 'opening' ? ' or a schedule of halves such as XOXO' : '';
+          expected = `${this.RULE_OPTIONS[rule].join(', ')}${schedule}`;
+        }
+        throw new Error(`Invalid rules.${rule}: ${resolved[rule]} (expected ${expected})`);
+      }
+    }
+    return resolved;
+  }
+
+  /**
+   * Active halves of the opening plies for a valid rules.opening (empty for none)
+   */
+  getOpeningSchedule(opening) {
+    if (opening === 'none') {
+      return [];
+    }
+    if (opening === 'staged') {
+      return [...this.STAGED_OPENING];
+    }
+    return opening.split('');
+  }
+
+  /**
+   * Whether a value is allowed for a rule: one of RULE_OPTIONS, or for the
+   * opening also a schedule of halves ("X" and "O", one per ply); numeric
+   * rules take 0 or a whole number from their RULE_MINIMUMS
+   */
+  isRuleOption(rule, value) {
+    if (this.RULE_MINIMUMS[rule]) {
+      return Number.isInteger(value) && (value === 0 || value >= this.RULE_MINIMUMS[rule]);
+    }
+    if (!this.RULE_OPTIONS[rule]) {
+      return false;
+    }
+    if (this.RULE_OPTIONS[rule].includes(value)) {
+      return true;
+    }
+    return rule === 'opening' && typeof value === 'string' && /^[XO]+$/.test(value);
+  }
+
+  /**
+   * FIFO is off in the opening, so the cap must hold the pieces a player
+   * places in it (the starting player places on every other opening ply)
+   * Checks the engine's cap and opening unless others are given
+   * Throws an Error if it does not
+   */
+  checkOpeningCap(maxOnBoard = this.MAX_ON_BOARD_PER_PLAYER, openingPlies = this.OPENING_PLIES) {
+    const openingPieces = Math.ceil(openingPlies / 2);
+    if (maxOnBoard < openingPieces) {
+      throw new Error(`maxOnBoard ${maxOnBoard} is below the ` +
+        `${openingPieces} pieces per player the opening places`);
+    }
+  }
+
+  /**
+   * Name of the RULE_VARIANTS entry the rules match, or null for other combinations
+   * The draw rules (RULE_MINIMUMS) are not part of a variant
+   */
+  getVariant() {
+    const names = Object.keys(this.RULE_VARIANTS);
+    return names.find(name => {
+      const rules = { ...this.DEFAULT_RULES, ...this.RULE_VARIANTS[name] };
+      return Object.keys(this.RULE_OPTIONS).every(rule => rules[rule] === this.rules[rule]);
+    }) || null;
+  }
+
+  /**
+   * Settings a new engine needs to play the same kind of game
+   * Returns { maxOnBoard, boardSize, winLength, topHalfRows, rules }
+   */
+  getConfig() {
+    return {
+      maxOnBoard: this.MAX_ON_BOARD_PER_PLAYER,
+      boardSize: this.BOARD_SIZE,
+      winLength: this.WIN_LENGTH,
+      topHalfRows: this.TOP_HALF_ROWS,
+      rules: { ...this.rules }
+    };
   }
 
   /**
    * Reset the game to initial state
-   * Performs coin toss to determine starting player
+   * Performs coin toss to determine starting player (unless rules.firstPlayer fixes it)
+   * @param {string|null} startingPlayer - Skip the coin toss and start with this player
+   *                                       (used when replaying a recorded game)
    */
-  reset() {
+  reset(startingPlayer = null) {
     this.board = Array(this.CELLS_COUNT).fill(this.EMPTY);
     this.gameOver = false;
     this.winner = null;
     this.winningLine = null;
+    this.drawReason = null; // One of the DRAW_ reasons once the game is drawn
+    this.drawOffer = null;  // Player whose draw offer awaits an answer
     this.moveHistory = [];
     this.plyCount = 0;
+    this.phase = this.getPhaseForPly(0);
 
     // Coin toss: randomly determine starting player
-    const coinToss = this.rng();
-    this.startingPlayer = coinToss === 0 ? this.PLAYER_X : this.PLAYER_O;
+    if (startingPlayer === this.PLAYER_X || startingPlayer === this.PLAYER_O) {
+      this.startingPlayer = startingPlayer;
+    } else if (this.rules.firstPlayer !== 'coin-toss') {
+      this.startingPlayer = this.rules.firstPlayer;
+    } else {
+      const coinToss = this.rng();
+      this.startingPlayer = coinToss === 0 ? this.PLAYER_X : this.PLAYER_O;
+    }
     this.currentPlayer = this.startingPlayer;
 
     // Active half: starts as OPPONENT's side (where starting player needs to win)
     // activeHalf ∈ {'X', 'O'} indicates which half is currently playable
+    // (null under free placement: anywhere)
     // This ensures starting player can build in enemy territory
-    this.activeHalf = this.startingPlayer === this.PLAYER_X ? this.PLAYER_O : this.PLAYER_X;
+    this.activeHalf = this.getActiveHalfForPly(0, null);
 
     // FIFO tracking
     // pieceData[index] = { player, plyIndex } or null
@@ -85,6 +345,47 @@ class GameEngine {
 
     // For UI preview of FIFO removal
     this.fifoRemovalPreview = null;
+
+    // Undo/redo
+    // undoStack holds one turn record per applied move (see applyMove)
+    // redoStack holds indices of undone moves, most recently undone last
+    this.undoStack = [];
+    this.redoStack = [];
+
+    // Repetition: getPositionKey() -> times the position has occurred
+    this.positionCounts = { [this.getPositionKey()]: 1 };
+  }
+
+  /**
+   * Key identifying a position for repetition: each player's pieces in
+   * placement order (so FIFO takes the same pieces next), the active half
+   * and the side to move
+   */
+  getPositionKey() {
+    const pieces = { X: [], O: [] };
+    for (let i = 0; i < this.CELLS_COUNT; i++) {
+      if (this.pieceData[i]) {
+        pieces[this.pieceData[i].player].push(i);
+      }
+    }
+    const byAge = (a, b) => this.pieceData[a].plyIndex - this.pieceData[b].plyIndex;
+    const side = `${this.currentPlayer}${this.activeHalf || '*'}`;
+    return `${side}:${pieces.X.sort(byAge).join(',')}/${pieces.O.sort(byAge).join(',')}`;
+  }
+
+  /**
+   * Count the current position, drawing the game once it has occurred
+   * rules.repetitions times
+   * Returns the position key
+   */
+  recordPosition() {
+    const key = this.getPositionKey();
+    this.positionCounts[key] = (this.positionCounts[key] || 0) + 1;
+    if (this.rules.repetitions && this.positionCounts[key] >= this.rules.repetitions) {
+      this.gameOver = true;
+      this.drawReason = this.DRAW_REPETITION;
+    }
+    return key;
   }
 
   /**
@@ -133,12 +434,54 @@ class GameEngine {
 
   /**
    * Get which half is currently active (playable)
-   * Returns 'X' or 'O'
+   * Returns 'X' or 'O', or null when pieces may go anywhere (free placement)
    */
   getActiveHalf() {
     return this.activeHalf;
   }
 
+  /**
+   * Phase of a ply: PHASE_OPENING for the opening's plies, then PHASE_OPEN_GAME
+   */
+  getPhaseForPly(ply) {
+    return ply < this.OPENING_PLIES ? this.PHASE_OPENING : this.PHASE_OPEN_GAME;
+  }
+
+  /**
+   * Whether the game is in the opening phase
+   */
+  isOpeningPhase() {
+    return this.phase === this.PHASE_OPENING;
+  }
+
+  /**
+   * Half the opening schedule requires for the current ply
+   * Returns 'X' or 'O', or null once the opening is over (or without one)
+   */
+  getRequiredHalfForOpening() {
+    return this.isOpeningPhase() ? this.OPENING_SCHEDULE[this.plyCount] : null;
+  }
+
+  /**
+   * Active half for a ply, given the active half of the ply before it
+   * - Opening phase: OPENING_SCHEDULE's half for the ply
+   * - Free placement: null (anywhere)
+   * - Otherwise the halves alternate, starting with the starting player's
+   *   opponent's half (or after the opening, its last half)
+   */
+  getActiveHalfForPly(ply, previousHalf) {
+    if (this.getPhaseForPly(ply) === this.PHASE_OPENING) {
+      return this.OPENING_SCHEDULE[ply];
+    }
+    if (this.rules.activeHalf === 'free') {
+      return null;
+    }
+    if (ply === 0 || !previousHalf) {
+      return this.getOpponent(this.startingPlayer);
+    }
+    return previousHalf === this.PLAYER_X ? this.PLAYER_O : this.PLAYER_X;
+  }
+
   /**
    * Count total pieces for player on board
    */
@@ -185,16 +528,49 @@ class GameEngine {
     return oldestIndex;
   }
 
+  /**
+   * Find the piece the removal rule takes from a player over the cap:
+   * the oldest under FIFO, the newest under Last-In (other than the piece
+   * just placed at placedIndex), none when removal is off
+   * Returns index or null
+   */
+  findPieceToRemove(player, placedIndex = null) {
+    if (this.rules.removal === 'fifo') {
+      return this.findOldestPiece(player);
+    }
+    if (this.rules.removal === 'none') {
+      return null;
+    }
+
+    let newestIndex = null;
+    let newestPly = -Infinity;
+    for (let i = 0; i < this.CELLS_COUNT; i++) {
+      if (i !== placedIndex && this.board[i] === player && this.pieceData[i] &&
+          this.pieceData[i].plyIndex > newestPly) {
+        newestPly = this.pieceData[i].plyIndex;
+        newestIndex = i;
+      }
+    }
+    return newestIndex;
+  }
+
+  /**
+   * Pieces a player may keep on the board (Infinity when removal is off)
+   */
+  getPieceCap() {
+    return this.rules.removal === 'none' ? Infinity : this.MAX_ON_BOARD_PER_PLAYER;
+  }
+
   /**
    * Get piece that would be removed if player places now (for preview)
    * Returns index or null
    */
   getPieceToRemovePreview(player) {
     const currentCount = this.countPlayerPieces(player);
-    if (currentCount < this.MAX_ON_BOARD_PER_PLAYER) {
+    if (currentCount < this.getPieceCap()) {
       return null;
     }
-    return this.findOldestPiece(player);
+    return this.findPieceToRemove(player);
   }
 
   /**
@@ -204,36 +580,38 @@ class GameEngine {
    */
   predictFifoRemoval(player, moveIndex) {
     // Only in open game phase does FIFO trigger
-    if (this.phase !== this.PHASE_OPEN_GAME) {
+    if (this.isOpeningPhase()) {
       return null;
     }
 
     // Count pieces player would have after placing
     const currentCount = this.countPlayerPieces(player);
-    const wouldExceed = (currentCount + 1) > this.MAX_ON_BOARD_PER_PLAYER;
+    const wouldExceed = (currentCount + 1) > this.getPieceCap();
 
     if (!wouldExceed) {
       return null;
     }
 
-    // Return oldest piece
-    return this.findOldestPiece(player);
+    // Return the piece the removal rule takes
+    return this.findPieceToRemove(player);
   }
 
   /**
    * Get the "next out" piece for a player
-   * This is the oldest remaining piece that would be removed next time FIFO triggers
-   * Returns index or null (null if player has no pieces on board)
+   * This is the remaining piece that would be removed next time the cap is
+   * exceeded (the oldest under FIFO, the newest under Last-In)
+   * Returns index or null (null if player has no pieces on board, or removal is off)
    *
    * Used for always-visible "next out" indicators in UI
    */
   getNextOutPiece(player) {
-    return this.findOldestPiece(player);
+    return this.findPieceToRemove(player);
   }
 
   /**
    * Get FIFO order for a player's pieces
-   * Returns array of piece indices sorted from oldest to newest (oldest first)
+   * Returns array of piece indices in the order the removal rule takes them:
+   * oldest first under FIFO, newest first under Last-In, empty when removal is off
    * @param {string} player - 'X' or 'O'
    * @param {number} count - Number of pieces to return (optional, default: all)
    * @returns {Array<number>} Array of indices in FIFO order (oldest first)
@@ -241,6 +619,10 @@ class GameEngine {
    * Used for FIFO warning highlights in UI (red = oldest, orange = second-oldest)
    */
   getFifoOrder(player, count = null) {
+    if (this.rules.removal === 'none') {
+      return [];
+    }
+
     const pieces = [];
 
     // Collect all pieces for this player with their plyIndex
@@ -253,8 +635,8 @@ class GameEngine {
       }
     }
 
-    // Sort by plyIndex (oldest first)
-    pieces.sort((a, b) => a.plyIndex - b.plyIndex);
+    // Sort by plyIndex (oldest first, or newest first under Last-In)
+    pieces.sort((a, b) => (this.rules.removal === 'last-in' ? b.plyIndex - a.plyIndex : a.plyIndex - b.plyIndex));
 
     // Extract just the indices
     const indices = pieces.map(p => p.index);
@@ -294,18 +676,18 @@ class GameEngine {
     }
 
     // Only FIFO removal happens in Open Game phase
-    if (this.phase === this.PHASE_OPEN_GAME) {
+    if (!this.isOpeningPhase()) {
       const currentPlayer = this.currentPlayer;
       const currentCount = this.countPlayerPieces(currentPlayer);
 
       // Check if placing would exceed cap
-      if ((currentCount + 1) > this.MAX_ON_BOARD_PER_PLAYER) {
-        const oldestIndex = this.findOldestPiece(currentPlayer);
-        if (oldestIndex !== null) {
+      if ((currentCount + 1) > this.getPieceCap()) {
+        const removedIndex = this.findPieceToRemove(currentPlayer);
+        if (removedIndex !== null) {
           removedPieces.push({
             player: currentPlayer,
-            index: oldestIndex,
-            reason: 'fifo'
+            index: removedIndex,
+            reason: this.rules.removal
           });
         }
       }
@@ -316,8 +698,13 @@ class GameEngine {
 
   /**
    * Check if a position is valid for current phase
+   * PASS is valid whenever the rules allow passing
    */
   isValidMove(index) {
+    if (index === this.PASS) {
+      return this.canPass();
+    }
+
     if (index < 0 || index >= this.CELLS_COUNT) {
       return false;
     }
@@ -341,8 +728,38 @@ class GameEngine {
     return true;
   }
 
+  /**
+   * Whether the player to move may pass
+   */
+  canPass() {
+    return this.rules.passing && !this.gameOver;
+  }
+
+  /**
+   * Who places in which half on the next plies (for CPU lookahead)
+   * Returns [{ player, half }] starting with the current turn, where half is the
+   * active half for that placement (null: anywhere); empty once the game is over
+   */
+  getUpcomingTurns(plies) {
+    const turns = [];
+    if (this.gameOver) {
+      return turns;
+    }
+
+    let player = this.currentPlayer;
+    let half = this.activeHalf;
+    for (let i = 0; i < plies; i++) {
+      turns.push({ player, half });
+      player = this.getOpponent(player);
+      half = this.getActiveHalfForPly(this.plyCount + i + 1, half);
+    }
+
+    return turns;
+  }
+
   /**
    * Get all valid (empty) positions for current phase
+   * (cells only: a pass, when allowed, is checked with canPass)
    */
   getValidMoves() {
     const moves = [];
@@ -355,123 +772,391 @@ class GameEngine {
   }
 
   /**
-   * Apply a move to the board
+   * Apply a move to the board (a cell index, or PASS when the rules allow it)
    * Returns { success: boolean, message: string, ... }
    *
    * Resolution order:
    * 1. Place piece
-   * 2. If player exceeds MAX_ON_BOARD, remove oldest piece (FIFO)
+   * 2. If player exceeds MAX_ON_BOARD, remove a piece (the removal rule's: oldest under FIFO)
    * 3. Check win condition
    * 4. Switch player
+   * 5. Check for a draw (no moves, move limit, then repetition); a drawn
+   *    result carries its drawReason
+   * Any pending draw offer lapses
    */
   applyMove(index) {
     if (this.gameOver) {
       return { success: false, message: "Game is already over" };
     }
 
+    if (index === this.PASS && !this.canPass()) {
+      return { success: false, message: "Passing is not allowed" };
+    }
     if (!this.isValidMove(index)) {
       return { success: false, message: "Invalid move for current phase" };
     }
 
-    // 1. Place the piece
-    this.board[index] = this.currentPlayer;
-    this.pieceData[index] = {
+    // Everything needed to reverse this turn in undo()
+    const turn = {
+      index,
       player: this.currentPlayer,
-      plyIndex: this.plyCount
+      activeHalf: this.activeHalf,
+      plyCount: this.plyCount,
+      historyLength: this.moveHistory.length,
+      fifoWarningsEnabled: { ...this.fifoWarningsEnabled },
+      drawOffer: this.drawOffer,
+      removed: null,
+      positionKey: null
     };
+    this.undoStack.push(turn);
+    this.redoStack = [];
+
+    // 1-4. Place, resolve FIFO, check for a win or draw, switch players
+    const player = this.currentPlayer;
+    const ply = this.plyCount;
+    const move = this.makeMove(index);
+    const removedIndex = move.removed;
+    this.drawOffer = null;
+
+    // 5. Repetition (makeMove has checked for wins and the other draws)
+    if (!this.gameOver) {
+      turn.positionKey = this.recordPosition();
+    }
+
+    if (index === this.PASS) {
+      this.moveHistory.push({ type: 'pass', player, index, ply, activeHalf: move.activeHalf });
+      return {
+        success: true,
+        message: this.gameOver ? this.getDrawMessage() : `${player} passes`,
+        gameOver: this.gameOver,
+        winner: null,
+        drawReason: this.drawReason,
+        fifoRemoved: null,
+        activeHalf: this.activeHalf,
+        plyCount: this.plyCount
+      };
+    }
 
-    // Record placement in history
+    // Record placement (and any FIFO removal) in history
     const coords = this.indexToCoords(index);
     this.moveHistory.push({
       type: 'placement',
-      player: this.currentPlayer,
+      player,
       index,
       row: coords.row,
       col: coords.col,
-      ply: this.plyCount,
-      activeHalf: this.activeHalf
+      ply,
+      phase: this.getPhaseForPly(ply),
+      activeHalf: move.activeHalf
     });
 
-    this.plyCount++;
-
-    // 2. FIFO removal (when player exceeds cap)
-    let removedIndex = null;
-    const pieceCount = this.countPlayerPieces(this.currentPlayer);
-    if (pieceCount > this.MAX_ON_BOARD_PER_PLAYER) {
-      removedIndex = this.findOldestPiece(this.currentPlayer);
-      if (removedIndex !== null) {
-        const removedCoords = this.indexToCoords(removedIndex);
-
-        // Remove the piece
-        this.board[removedIndex] = this.EMPTY;
-        this.pieceData[removedIndex] = null;
-
-        // Record removal in history
-        this.moveHistory.push({
-          type: 'fifo_removal',
-          player: this.currentPlayer,
-          index: removedIndex,
-          row: removedCoords.row,
-          col: removedCoords.col,
-          ply: this.plyCount - 1
-        });
-      }
-    }
-
-    // Update FIFO warning highlights flag (after placement + any removals resolved)
-    // Enable warnings for current player if they've reached cap
-    const currentPieceCount = this.countPlayerPieces(this.currentPlayer);
-    if (currentPieceCount >= this.MAX_ON_BOARD_PER_PLAYER) {
-      this.fifoWarningsEnabled[this.currentPlayer] = true;
+    if (removedIndex !== null) {
+      const removedCoords = this.indexToCoords(removedIndex);
+      turn.removed = { index: removedIndex, pieceData: { ...move.removedPieceData } };
+      this.moveHistory.push({
+        type: 'fifo_removal',
+        player,
+        index: removedIndex,
+        row: removedCoords.row,
+        col: removedCoords.col,
+        ply
+      });
     }
 
-    // 3. Check for win
-    const winResult = this.checkWin(this.currentPlayer);
-    if (winResult.isWin) {
-      this.gameOver = true;
-      this.winner = this.currentPlayer;
-      this.winningLine = winResult.line;
+    if (this.gameOver && this.winner) {
       return {
         success: true,
-        message: `${this.currentPlayer} wins!`,
+        message: `${player} wins!`,
         gameOver: true,
-        winner: this.currentPlayer,
-        winningLine: winResult.line,
-        fifoRemoved: removedIndex !== null ? removedIndex : null,
+        winner: player,
+        winningLine: this.winningLine,
+        fifoRemoved: removedIndex,
         activeHalf: this.activeHalf,
         plyCount: this.plyCount
       };
     }
 
-    // Check for draw (board full)
-    if (this.getValidMoves().length === 0) {
-      this.gameOver = true;
+    if (this.gameOver) {
       return {
         success: true,
-        message: "Draw!",
+        message: this.getDrawMessage(),
         gameOver: true,
         winner: null,
-        fifoRemoved: removedIndex !== null ? removedIndex : null,
-        activeHalf: this.activeHalf
+        drawReason: this.drawReason,
+        fifoRemoved: removedIndex,
+        activeHalf: this.activeHalf,
+        plyCount: this.plyCount
       };
     }
 
-    // 4. Switch players
-    this.currentPlayer = this.currentPlayer === this.PLAYER_X ? this.PLAYER_O : this.PLAYER_X;
-
-    // 5. Toggle active half (alternates every turn)
-    this.activeHalf = this.activeHalf === 'X' ? 'O' : 'X';
-
     return {
       success: true,
       message: "Move applied",
       gameOver: false,
-      fifoRemoved: removedIndex !== null ? removedIndex : null,
+      fifoRemoved: removedIndex,
+      activeHalf: this.activeHalf,
+      plyCount: this.plyCount
+    };
+  }
+
+  /**
+   * Play a move in place, for search
+   * Same rules as applyMove (placement, removal, win/draw check, player and
+   * half switch) but without validation, moveHistory or undo/redo entries.
+   * The index must be a valid move; reverse it with unmakeMove(move).
+   * Returns { index, player, activeHalf, fifoWarningEnabled, removed, removedPieceData }
+   * where removed is the FIFO-removed cell or null
+   * Repetition is not checked: it depends on the game's history (see applyMove)
+   *
+   * Resolution order:
+   * 1. Place piece (nothing for a PASS)
+   * 2. If player exceeds the cap, remove the removal rule's piece
+   * 3. Check win condition (only lines through the placed cell can be new)
+   * 4. Switch player and move on to the next ply's phase and active half
+   * 5. Draw if the next player has nowhere to place, or the move limit is reached
+   */
+  makeMove(index) {
+    const player = this.currentPlayer;
+    const move = {
+      index,
+      player,
+      activeHalf: this.activeHalf,
+      fifoWarningEnabled: this.fifoWarningsEnabled[player],
+      removed: null,
+      removedPieceData: null
+    };
+
+    if (index === this.PASS) {
+      this.plyCount++;
+    } else {
+      // 1. Place the piece
+      this.board[index] = player;
+      this.pieceData[index] = {
+        player,
+        plyIndex: this.plyCount
+      };
+      this.plyCount++;
+
+      // 2. Removal (when player exceeds cap)
+      const cap = this.getPieceCap();
+      let pieceCount = this.countPlayerPieces(player);
+      if (pieceCount > cap) {
+        const removedIndex = this.findPieceToRemove(player, index);
+        if (removedIndex !== null) {
+          move.removed = removedIndex;
+          move.removedPieceData = this.pieceData[removedIndex];
+          this.board[removedIndex] = this.EMPTY;
+          this.pieceData[removedIndex] = null;
+          pieceCount--;
+        }
+      }
+
+      // Update FIFO warning highlights flag (after placement + any removals resolved)
+      // Enable warnings for current player if they've reached cap
+      if (pieceCount >= cap) {
+        this.fifoWarningsEnabled[player] = true;
+      }
+
+      // 3. Check for win
+      const winResult = this.checkWinAt(index, player);
+      if (winResult.isWin) {
+        this.gameOver = true;
+        this.winner = player;
+        this.winningLine = winResult.line;
+        return move;
+      }
+    }
+
+    // 4. Switch players and move on to the next ply's phase and active half
+    this.currentPlayer = this.getOpponent(player);
+    this.phase = this.getPhaseForPly(this.plyCount);
+    this.activeHalf = this.getActiveHalfForPly(this.plyCount, this.activeHalf);
+
+    // 5. Check for draw (nowhere left to place, or out of moves)
+    if (this.getValidMoves().length === 0) {
+      this.gameOver = true;
+      this.drawReason = this.DRAW_NO_MOVES;
+    } else if (this.rules.moveLimit && this.plyCount >= this.rules.moveLimit) {
+      this.gameOver = true;
+      this.drawReason = this.DRAW_MOVE_LIMIT;
+    }
+
+    return move;
+  }
+
+  /**
+   * Reverse a makeMove (must be the most recent one)
+   * Restores the placed cell, any FIFO-removed piece, player, active half,
+   * ply count, phase and game-over flags
+   */
+  unmakeMove(move) {
+    if (move.index !== this.PASS) {
+      this.board[move.index] = this.EMPTY;
+      this.pieceData[move.index] = null;
+    }
+    if (move.removed !== null) {
+      this.board[move.removed] = move.player;
+      this.pieceData[move.removed] = move.removedPieceData;
+    }
+
+    this.plyCount--;
+    this.phase = this.getPhaseForPly(this.plyCount);
+    this.currentPlayer = move.player;
+    this.activeHalf = move.activeHalf;
+    this.fifoWarningsEnabled[move.player] = move.fifoWarningEnabled;
+    this.gameOver = false;
+    this.winner = null;
+    this.winningLine = null;
+    this.drawReason = null;
+  }
+
+  /**
+   * Undo the last turn (placement, FIFO removal, half toggle, phase, repetition
+   * count and game-over flags, including a draw agreed after it)
+   * Returns { success: boolean, message: string, ... }
+   */
+  undo() {
+    const turn = this.undoStack.pop();
+    if (!turn) {
+      return { success: false, message: "Nothing to undo" };
+    }
+
+    if (turn.positionKey !== null) {
+      this.positionCounts[turn.positionKey]--;
+      if (this.positionCounts[turn.positionKey] === 0) {
+        delete this.positionCounts[turn.positionKey];
+      }
+    }
+
+    // Remove the placed piece and restore any FIFO-removed piece
+    if (turn.index !== this.PASS) {
+      this.board[turn.index] = this.EMPTY;
+      this.pieceData[turn.index] = null;
+    }
+    if (turn.removed) {
+      this.board[turn.removed.index] = turn.player;
+      this.pieceData[turn.removed.index] = { ...turn.removed.pieceData };
+    }
+
+    this.moveHistory.length = turn.historyLength;
+    this.plyCount = turn.plyCount;
+    this.phase = this.getPhaseForPly(this.plyCount);
+    this.currentPlayer = turn.player;
+    this.activeHalf = turn.activeHalf;
+    this.fifoWarningsEnabled = { ...turn.fifoWarningsEnabled };
+    this.gameOver = false;
+    this.winner = null;
+    this.winningLine = null;
+    this.drawReason = null;
+    this.drawOffer = turn.drawOffer;
+
+    this.redoStack.push(turn.index);
+
+    return {
+      success: true,
+      message: "Move undone",
+      index: turn.index,
+      player: turn.player,
+      fifoRestored: turn.removed ? turn.removed.index : null,
       activeHalf: this.activeHalf,
       plyCount: this.plyCount
     };
   }
 
+  /**
+   * Redo the most recently undone turn
+   * Returns the applyMove() result, or { success: false } if nothing to redo
+   */
+  redo() {
+    if (this.redoStack.length === 0) {
+      return { success: false, message: "Nothing to redo" };
+    }
+
+    // applyMove() clears the redo stack, so keep the remaining entries
+    const redoStack = this.redoStack;
+    const index = redoStack.pop();
+    const result = this.applyMove(index);
+    this.redoStack = redoStack;
+    return result;
+  }
+
+  /**
+   * Offer a draw on behalf of the player to move
+   * The offer stands until the opponent answers it (acceptDraw/declineDraw)
+   * or a move is played
+   * Returns { success: boolean, message: string }
+   */
+  offerDraw() {
+    if (this.gameOver) {
+      return { success: false, message: "Game is already over" };
+    }
+    if (this.drawOffer) {
+      return { success: false, message: `${this.drawOffer} has already offered a draw` };
+    }
+
+    this.drawOffer = this.currentPlayer;
+    return { success: true, message: `${this.currentPlayer} offers a draw`, player: this.currentPlayer };
+  }
+
+  /**
+   * Accept the pending draw offer: the game ends as a draw by agreement
+   * Returns { success, message, gameOver, winner, drawReason } like applyMove
+   */
+  acceptDraw() {
+    if (this.gameOver) {
+      return { success: false, message: "Game is already over" };
+    }
+    if (!this.drawOffer) {
+      return { success: false, message: "No draw has been offered" };
+    }
+
+    this.drawOffer = null;
+    this.gameOver = true;
+    this.drawReason = this.DRAW_AGREEMENT;
+    return {
+      success: true,
+      message: this.getDrawMessage(),
+      gameOver: true,
+      winner: null,
+      drawReason: this.drawReason
+    };
+  }
+
+  /**
+   * Decline the pending draw offer; play goes on
+   * Returns { success: boolean, message: string }
+   */
+  declineDraw() {
+    if (!this.drawOffer) {
+      return { success: false, message: "No draw has been offered" };
+    }
+
+    const player = this.drawOffer;
+    this.drawOffer = null;
+    return { success: true, message: `${this.getOpponent(player)} declines the draw` };
+  }
+
+  /**
+   * Message for a drawn game, naming its drawReason
+   */
+  getDrawMessage() {
+    return this.DRAW_MESSAGES[this.drawReason] || "Draw!";
+  }
+
+  /**
+   * Check if there is a turn to undo
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * Check if there is an undone turn to redo
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
   /**
    * Check if all indices in a line are in the opponent's side for the given player
    */
@@ -490,7 +1175,7 @@ class GameEngine {
    * Returns { isWin: boolean, line: array of indices or null }
    */
   checkWin(player) {
-    // Check all possible 4-in-a-row lines
+    // Check all possible WIN_LENGTH-in-a-row lines
     const directions = [
       { dr: 0, dc: 1 },  // Horizontal
       { dr: 1, dc: 0 },  // Vertical
@@ -515,6 +1200,41 @@ class GameEngine {
     return { isWin: false, line: null };
   }
 
+  /**
+   * Check for a win through one cell (the last placement)
+   * A placement can only complete lines that contain it, so this checks the
+   * WIN_LENGTH windows through the cell in each direction instead of the whole board.
+   * When several lines qualify, returns the one checkWin would find first.
+   * Returns { isWin: boolean, line: array of indices or null }
+   */
+  checkWinAt(index, player) {
+    const directions = [
+      { dr: 0, dc: 1 },  // Horizontal
+      { dr: 1, dc: 0 },  // Vertical
+      { dr: 1, dc: 1 },  // Diagonal down-right
+      { dr: 1, dc: -1 }  // Diagonal down-left
+    ];
+    const { row, col } = this.indexToCoords(index);
+    let best = null;
+
+    directions.forEach((dir, d) => {
+      for (let offset = 0; offset < this.WIN_LENGTH; offset++) {
+        const startRow = row - offset * dir.dr;
+        const startCol = col - offset * dir.dc;
+        const line = this.checkLineFromPosition(startRow, startCol, dir.dr, dir.dc, player);
+        if (line && this.isLineInOpponentSide(line, player)) {
+          // checkWin scans start cells in board order, then directions in order
+          const order = (startRow * this.BOARD_SIZE + startCol) * directions.length + d;
+          if (best === null || order < best.order) {
+            best = { order, line };
+          }
+        }
+      }
+    });
+
+    return best ? { isWin: true, line: best.line } : { isWin: false, line: null };
+  }
+
   /**
    * Check for a line of WIN_LENGTH from a given position in a given direction
    * Returns array of indices if found, null otherwise
@@ -549,44 +1269,193 @@ class GameEngine {
    */
   getState() {
     return {
+      version: this.VERSION,
       board: [...this.board],
       currentPlayer: this.currentPlayer,
       gameOver: this.gameOver,
       winner: this.winner,
       winningLine: this.winningLine ? [...this.winningLine] : null,
+      drawReason: this.drawReason,
+      drawOffer: this.drawOffer,
       moveHistory: [...this.moveHistory],
       phase: this.phase,
       plyCount: this.plyCount,
       pieceData: [...this.pieceData],
       maxOnBoard: this.MAX_ON_BOARD_PER_PLAYER,
-      openingPlies: this.OPENING_PLIES
+      boardSize: this.BOARD_SIZE,
+      winLength: this.WIN_LENGTH,
+      topHalfRows: this.TOP_HALF_ROWS,
+      rules: { ...this.rules },
+      startingPlayer: this.startingPlayer,
+      activeHalf: this.activeHalf,
+      fifoWarningsEnabled: { ...this.fifoWarningsEnabled },
+      positionCounts: { ...this.positionCounts }
     };
   }
 
   /**
-   * Load a game state (for testing or undo functionality)
+   * Load a game state (for testing, saved games or CPU search)
+   * The engine takes on the state's board geometry, rules and FIFO cap; the
+   * phase follows from the rules and ply count. Older state versions are
+   * migrated first; unknown versions and boards that do not match their
+   * geometry throw, leaving the engine as it was
    */
   loadState(state) {
+    state = this.migrateState(state);
+    this.validateState(state);
+
+    this.configureBoard(state);
+    this.configureRules(state.rules);
+    if (state.maxOnBoard) {
+      this.MAX_ON_BOARD_PER_PLAYER = state.maxOnBoard;
+    }
     this.board = [...state.board];
     this.currentPlayer = state.currentPlayer;
     this.gameOver = state.gameOver;
     this.winner = state.winner;
     this.winningLine = state.winningLine ? [...state.winningLine] : null;
+    this.drawReason = state.drawReason || null;
+    this.drawOffer = state.drawOffer || null;
     this.moveHistory = [...state.moveHistory];
-    this.phase = state.phase || this.PHASE_OPENING;
     this.plyCount = state.plyCount || 0;
+    this.phase = this.getPhaseForPly(this.plyCount);
     this.pieceData = [...state.pieceData];
+    if (state.startingPlayer) {
+      this.startingPlayer = state.startingPlayer;
+    }
+    if (state.activeHalf !== undefined) {
+      this.activeHalf = state.activeHalf;
+    }
+    if (state.fifoWarningsEnabled) {
+      this.fifoWarningsEnabled = { ...state.fifoWarningsEnabled };
+    }
+    // States saved without repetition counts start counting from this position
+    this.positionCounts = state.positionCounts
+      ? { ...state.positionCounts }
+      : { [this.getPositionKey()]: 1 };
+
+    // Undo/redo history belongs to the game that produced it
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Check that a current-version state can be loaded, without changing the engine
+   * Throws an Error for an invalid geometry or rules, a cap below the opening's
+   * pieces, a board or pieceData that does not match the geometry or each other,
+   * an invalid side to move, starting player, active half or ply count, or a
+   * moveHistory that is not an array
+   */
+  validateState(state) {
+    const { boardSize } = this.resolveBoard(state);
+    const rules = this.resolveRules(state.rules);
+    this.checkOpeningCap(state.maxOnBoard || this.MAX_ON_BOARD_PER_PLAYER,
+      this.getOpeningSchedule(rules.opening).length);
+
+    const cells = boardSize * boardSize;
+    if (!Array.isArray(state.board) || state.board.length !== cells ||
+        !Array.isArray(state.pieceData) || state.pieceData.length !== cells) {
+      throw new Error(`State board and pieceData must have ${cells} cells each (boardSize ${boardSize})`);
+    }
+
+    const players = [this.PLAYER_X, this.PLAYER_O];
+    state.board.forEach((cell, index) => {
+      if (cell !== this.EMPTY && !players.includes(cell)) {
+        throw new Error(`Invalid value "${cell}" at board index ${index}`);
+      }
+      const piece = state.pieceData[index];
+      if (cell === this.EMPTY ? piece !== null : !piece || piece.player !== cell ||
+          !Number.isInteger(piece.plyIndex) || piece.plyIndex < 0) {
+        throw new Error(`pieceData does not match the board at index ${index}`);
+      }
+    });
+
+    if (!players.includes(state.currentPlayer)) {
+      throw new Error(`Invalid currentPlayer: ${state.currentPlayer}`);
+    }
+    if (state.startingPlayer !== undefined && !players.includes(state.startingPlayer)) {
+      throw new Error(`Invalid startingPlayer: ${state.startingPlayer}`);
+    }
+    // The active half is null under free placement
+    if (state.activeHalf !== undefined && state.activeHalf !== null && !players.includes(state.activeHalf)) {
+      throw new Error(`Invalid activeHalf: ${state.activeHalf}`);
+    }
+    if (state.plyCount !== undefined && (!Number.isInteger(state.plyCount) || state.plyCount < 0)) {
+      throw new Error(`Invalid plyCount: ${state.plyCount}`);
+    }
+    if (!Array.isArray(state.moveHistory)) {
+      throw new Error("moveHistory must be an array");
+    }
+  }
+
+  /**
+   * Bring a state from an earlier VERSION up to date
+   * Returns the state unchanged if it is current, or a migrated copy
+   * Throws an Error describing why a state cannot be loaded
+   */
+  migrateState(state) {
+    if (!state || typeof state !== 'object') {
+      throw new Error("State must be an object");
+    }
+
+    const version = state.version === undefined ? "1.0" : state.version;
+    if (version === this.VERSION) {
+      return state;
+    }
+    if (version === "1.3") {
+      // 1.3 -> 1.4: states saved before the draw rules played on (rules
+      // present in the state are kept)
+      return { ...state, rules: { repetitions: 0, moveLimit: 0, ...state.rules }, version: this.VERSION };
+    }
+    if (version === "1.2") {
+      // 1.2 -> 1.3: states before 1.3 are all played under the standard rules
+      // (configureRules fills them in)
+      return this.migrateState({ rules: {}, ...state, version: "1.3" });
+    }
+    if (version === "1.1") {
+      // 1.1 -> 1.2: states before 1.2 are all on the classic board
+      return this.migrateState({ boardSize: 8, winLength: 4, topHalfRows: 4, ...state, version: "1.2" });
+    }
+    if (version !== "1.0") {
+      throw new Error(`Unsupported state version ${version} (engine is ${this.VERSION})`);
+    }
+
+    if (!Array.isArray(state.board) || state.board.length !== 64 ||
+        !Array.isArray(state.pieceData) || state.pieceData.length !== 64) {
+      throw new Error("Version 1.0 state is missing its board or pieceData (64 cells each)");
+    }
+
+    // 1.0 -> 1.1: derive the coin toss, active half and FIFO warning flags
+    // (any of them already present in the state are kept)
+    const history = state.moveHistory || [];
+    const placements = history.filter(entry => entry.type === 'placement');
+    const plyCount = state.plyCount || placements.length;
+    const startingPlayer = placements.length > 0 ? placements[0].player : state.currentPlayer;
+    const opponent = startingPlayer === this.PLAYER_X ? this.PLAYER_O : this.PLAYER_X;
+    const maxOnBoard = state.maxOnBoard || this.MAX_ON_BOARD_PER_PLAYER;
+    const countPieces = player => state.board.filter(cell => cell === player).length;
+
+    return this.migrateState({
+      plyCount,
+      startingPlayer,
+      // The active half starts on the opponent's side and toggles every ply
+      activeHalf: plyCount % 2 === 0 ? opponent : startingPlayer,
+      // Once a player reaches the cap, FIFO keeps them there
+      fifoWarningsEnabled: {
+        X: countPieces(this.PLAYER_X) >= maxOnBoard,
+        O: countPieces(this.PLAYER_O) >= maxOnBoard
+      },
+      ...state,
+      version: "1.1"
+    });
   }
 
   /**
    * Clone the engine instance (for CPU search trees)
-   * Returns a new GameEngine with the same state
+   * Returns a new GameEngine with the same state (and coin toss)
    */
   clone() {
-    const cloned = new GameEngine({
-      maxOnBoard: this.MAX_ON_BOARD_PER_PLAYER,
-      openingPlies: this.OPENING_PLIES
-    });
+    const cloned = new GameEngine({ ...this.getConfig(), rng: this.rng });
     cloned.loadState(this.getState());
     return cloned;
   }
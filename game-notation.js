@@ -0,0 +1,473 @@
+/**
+ * Checkerboard Tic-Tac-Toe Game Record Notation
+ *
+ * A PGN-like text format for GameEngine games.
+ *
+ * Cells use algebraic coordinates:
+ * - Files a-h are columns left to right (col 0 = a)
+ * - Ranks 1-8 are rows bottom to top (row 7 = rank 1, row 0 = rank 8)
+ * - So X's half (bottom, indices 32-63) is ranks 1-4 and O's half (top) is ranks 5-8
+ * Other board sizes use as many files and ranks (e.g. a-j and 1-10 on 10x10).
+ *
+ * A record is a block of headers followed by movetext:
+ *
+ *   [Game "Checkerboard Tic-Tac-Toe"]
+ *   [CoinToss "X"]
+ *   [MaxOnBoard "8"]
+ *   [Result "X"]
+ *
+ *   1. c6 e3 2. d6 f3 3. e6 g3 4. f6#
+ *
+ * Headers:
+ * - CoinToss (required): player who won the coin toss and moved first ("X" or "O")
+ * - MaxOnBoard (optional, default 8): FIFO cap per player
+ * - BoardSize, WinLength, TopHalfRows (optional, default 8, 4 and half the
+ *   board): board geometry, written only when the board is not the classic one
+ * - FirstPlayer, ActiveHalf, Removal, Passing, Opening, MoveLimit (optional,
+ *   default the standard rules): GameEngine rules, written only when they
+ *   differ from DEFAULT_RULES; Passing is "On" or "Off", the others the rule's
+ *   value (e.g. [Removal "last-in"], or [Opening "XOXO"] for an opening
+ *   schedule)
+ * - Repetitions: GameEngine rule, always written; records without it predate
+ *   the draw rules and play on (0)
+ * - DrawReason (optional): why a drawn game ended (GameEngine drawReason);
+ *   "agreement" ends the game after its last ply, the others are replayed
+ * - Result (optional): "X", "O", "Draw" or "*" (in progress)
+ * - Any other header is kept as-is
+ *
+ * Movetext:
+ * - "N." move numbers count pairs of plies starting with the coin toss winner
+ * - Each ply is the placed cell, e.g. "e5"
+ * - A FIFO removal is written right after the placement: "e5(-c6)" means the
+ *   player placed on e5 and their oldest piece on c6 was removed
+ * - A winning placement may end with "#"
+ * - "pass" is a ply where the player passed (when the rules allow it)
+ * - Comments in braces { ... } are ignored
+ */
+
+class GameNotation {
+  constructor(boardSize = 8) {
+    this.BOARD_SIZE = boardSize;
+    this.DEFAULT_MAX_ON_BOARD = 8;
+    this.DEFAULT_GEOMETRY = { boardSize: 8, winLength: 4, topHalfRows: 4 };
+
+    // Header name -> engine config key
+    this.CONFIG_HEADERS = {
+      MaxOnBoard: 'maxOnBoard',
+      BoardSize: 'boardSize',
+      WinLength: 'winLength',
+      TopHalfRows: 'topHalfRows'
+    };
+    // Header name -> engine rule (see GameEngine.configureRules)
+    this.RULE_HEADERS = {
+      FirstPlayer: 'firstPlayer',
+      ActiveHalf: 'activeHalf',
+      Removal: 'removal',
+      Passing: 'passing',
+      Opening: 'opening',
+      Repetitions: 'repetitions',
+      MoveLimit: 'moveLimit'
+    };
+    this.PASS_TOKEN = "pass";
+    this.PASS = -1; // GameEngine's PASS move
+    this.RESULT_IN_PROGRESS = "*";
+    this.RESULT_DRAW = "Draw";
+  }
+
+  /**
+   * Convert board index to algebraic cell (e.g. 36 -> "e4")
+   * @param {number} boardSize - Board the index is on (default the notation's BOARD_SIZE)
+   */
+  indexToCell(index, boardSize = this.BOARD_SIZE) {
+    const row = Math.floor(index / boardSize);
+    const col = index % boardSize;
+    return `${String.fromCharCode(97 + col)}${boardSize - row}`;
+  }
+
+  /**
+   * Convert algebraic cell to board index (e.g. "e4" -> 36)
+   * @param {number} boardSize - Board the cell is on (default the notation's BOARD_SIZE)
+   * Returns null if the cell is not on the board
+   */
+  cellToIndex(cell, boardSize = this.BOARD_SIZE) {
+    const match = /^([a-z])(\d+)$/.exec(cell);
+    if (!match) {
+      return null;
+    }
+
+    const col = match[1].charCodeAt(0) - 97;
+    const rank = parseInt(match[2], 10);
+    if (col >= boardSize || rank < 1 || rank > boardSize) {
+      return null;
+    }
+
+    return (boardSize - rank) * boardSize + col;
+  }
+
+  /**
+   * Draw an engine's board as text, top rank first, with a rule between the halves
+   * Pieces are X and O, empty cells are "."
+   */
+  renderBoard(engine) {
+    const size = engine.BOARD_SIZE;
+    const files = Array.from({ length: size }, (_, col) => String.fromCharCode(97 + col)).join(' ');
+    const lines = [`   ${files}`];
+
+    for (let row = 0; row < size; row++) {
+      if (row === engine.TOP_HALF_ROWS) {
+        lines.push(`   ${'-'.repeat(files.length)}`);
+      }
+
+      const rank = size - row;
+      const cells = [];
+      for (let col = 0; col < size; col++) {
+        const index = row * size + col;
+        cells.push(engine.board[index] || '.');
+      }
+      lines.push(`${String(rank).padStart(2)} ${cells.join(' ')} ${rank}`);
+    }
+
+    lines.push(`   ${files}`);
+    return lines.join('\n');
+  }
+
+  /**
+   * Get the Result header value for an engine
+   */
+  getResult(engine) {
+    if (!engine.gameOver) {
+      return this.RESULT_IN_PROGRESS;
+    }
+    return engine.winner || this.RESULT_DRAW;
+  }
+
+  /**
+   * Serialize an engine's game into a record
+   * @param {GameEngine} engine - Game to export
+   * @param {Object} extraHeaders - Additional headers (e.g. { Date: "2026.01.31" })
+   * @returns {string} Record text
+   */
+  exportRecord(engine, extraHeaders = {}) {
+    const headers = {
+      Game: "Checkerboard Tic-Tac-Toe",
+      ...extraHeaders,
+      CoinToss: engine.startingPlayer,
+      MaxOnBoard: String(engine.MAX_ON_BOARD_PER_PLAYER)
+    };
+
+    const config = engine.getConfig();
+    const classic = Object.keys(this.DEFAULT_GEOMETRY).every(key => config[key] === this.DEFAULT_GEOMETRY[key]);
+    if (!classic) {
+      headers.BoardSize = String(config.boardSize);
+      headers.WinLength = String(config.winLength);
+      headers.TopHalfRows = String(config.topHalfRows);
+    }
+    for (const [header, rule] of Object.entries(this.RULE_HEADERS)) {
+      const value = config.rules[rule];
+      if (value !== engine.DEFAULT_RULES[rule] || rule === 'repetitions') {
+        headers[header] = typeof value === 'boolean' ? (value ? 'On' : 'Off') : value;
+      }
+    }
+    if (engine.gameOver && !engine.winner && engine.drawReason) {
+      headers.DrawReason = engine.drawReason;
+    }
+    headers.Result = this.getResult(engine);
+
+    const lines = Object.keys(headers).map(key => {
+      const value = String(headers[key]).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+      return `[${key} "${value}"]`;
+    });
+
+    const tokens = this.getMoveTokens(engine.moveHistory, engine.BOARD_SIZE);
+    if (tokens.length > 0 && engine.gameOver && engine.winner) {
+      tokens[tokens.length - 1] += '#';
+    }
+
+    // Number each pair of plies, wrapping movetext at ~80 columns
+    const words = [];
+    tokens.forEach((token, ply) => {
+      if (ply % 2 === 0) {
+        words.push(`${ply / 2 + 1}.`);
+      }
+      words.push(token);
+    });
+
+    const movetext = [];
+    let line = '';
+    for (const word of words) {
+      if (line && line.length + word.length + 1 > 80) {
+        movetext.push(line);
+        line = word;
+      } else {
+        line = line ? `${line} ${word}` : word;
+      }
+    }
+    if (line) {
+      movetext.push(line);
+    }
+
+    return `${lines.join('\n')}\n\n${movetext.join('\n')}\n`;
+  }
+
+  /**
+   * Convert moveHistory entries into one token per ply
+   * @param {number} boardSize - Board the moves are on (default the notation's BOARD_SIZE)
+   */
+  getMoveTokens(moveHistory, boardSize = this.BOARD_SIZE) {
+    const tokens = [];
+
+    for (const entry of moveHistory) {
+      if (entry.type === 'placement') {
+        tokens.push(this.indexToCell(entry.index, boardSize));
+      } else if (entry.type === 'pass') {
+        tokens.push(this.PASS_TOKEN);
+      } else if (entry.type === 'fifo_removal' && tokens.length > 0) {
+        tokens[tokens.length - 1] += `(-${this.indexToCell(entry.index, boardSize)})`;
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Read the engine config (FIFO cap, board geometry and rules) from record headers
+   * @param {Object} defaults - Config for settings without a header (default the classic game)
+   * Returns { success: true, config } or { success: false, message }
+   */
+  parseConfig(headers, defaults = {}) {
+    const config = { maxOnBoard: this.DEFAULT_MAX_ON_BOARD, ...defaults };
+    const rules = { ...(defaults.rules || {}) };
+    const engine = this.createEngine();
+    const ruleOptions = engine.RULE_OPTIONS;
+
+    for (const [header, rule] of Object.entries(this.RULE_HEADERS)) {
+      let value = headers[header];
+      if (value === undefined) {
+        continue;
+      }
+
+      if (engine.RULE_MINIMUMS[rule]) {
+        value = /^\d+$/.test(value) ? Number(value) : value;
+      } else if (typeof ruleOptions[rule][0] === 'boolean') {
+        value = value === 'On' ? true : value === 'Off' ? false : value;
+      }
+      if (!engine.isRuleOption(rule, value)) {
+        return { success: false, message: `Invalid ${header} header: ${headers[header]}` };
+      }
+      rules[rule] = value;
+    }
+    if (rules.repetitions === undefined) {
+      // Records without a Repetitions header predate the draw rules
+      rules.repetitions = 0;
+    }
+    config.rules = rules;
+
+    for (const [header, key] of Object.entries(this.CONFIG_HEADERS)) {
+      const value = headers[header];
+      if (value === undefined) {
+        continue;
+      }
+
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < 1) {
+        return { success: false, message: `Invalid ${header} header: ${value}` };
+      }
+      config[key] = number;
+    }
+
+    // The engine checks that the geometry fits together and fills in defaults
+    try {
+      return { success: true, config: this.createEngine(config).getConfig() };
+    } catch (error) {
+      return { success: false, message: `Invalid board headers: ${error.message}` };
+    }
+  }
+
+  /**
+   * Split record text into headers and ply tokens without replaying it
+   * Cells are read on the board given by the BoardSize header
+   * @param {Object} defaults - Config for settings without a header, e.g. the
+   *   engine's getConfig() to read moves typed for a game in progress
+   * Returns { success: true, headers, config, plies } or { success: false, message }
+   * where config is parseConfig()'s; each ply is { token, index, removed, winMarker }
+   * (index is PASS for a pass)
+   */
+  parseRecord(text, defaults = {}) {
+    const headers = {};
+    const movetextLines = [];
+
+    for (const rawLine of String(text).split(/\r?\n/)) {
+      const line = rawLine.trim();
+      const header = /^\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]$/.exec(line);
+      if (header) {
+        headers[header[1]] = header[2].replace(/\\(.)/g, '$1');
+      } else if (line.startsWith('[')) {
+        return { success: false, message: `Malformed header: ${line}` };
+      } else {
+        movetextLines.push(line);
+      }
+    }
+
+    const configResult = this.parseConfig(headers, defaults);
+    if (!configResult.success) {
+      return configResult;
+    }
+    const { config } = configResult;
+
+    const movetext = movetextLines.join(' ').replace(/\{[^}]*\}/g, ' ');
+    const plies = [];
+
+    for (const word of movetext.split(/\s+/)) {
+      if (!word || /^\d+\.+$/.test(word) || word === this.RESULT_IN_PROGRESS) {
+        continue;
+      }
+      if (word === this.PASS_TOKEN) {
+        plies.push({ token: word, index: this.PASS, removed: null, winMarker: false });
+        continue;
+      }
+
+      const match = /^([a-z]\d+)(?:\(-([a-z]\d+)\))?(#)?$/.exec(word);
+      const index = match ? this.cellToIndex(match[1], config.boardSize) : null;
+      const removed = match && match[2] ? this.cellToIndex(match[2], config.boardSize) : null;
+
+      if (!match || index === null || (match[2] && removed === null)) {
+        return {
+          success: false,
+          message: `Ply ${plies.length + 1}: cannot read "${word}"`,
+          ply: plies.length + 1,
+          token: word
+        };
+      }
+
+      plies.push({ token: word, index, removed, winMarker: match[3] === '#' });
+    }
+
+    return { success: true, headers, config, plies };
+  }
+
+  /**
+   * Parse a record and replay it through GameEngine.applyMove
+   * Returns { success: true, engine, headers } or
+   *         { success: false, message, ply, token } where ply is 1-based
+   *         (ply 0 means the headers were rejected)
+   */
+  importRecord(text) {
+    const parsed = this.parseRecord(text);
+    if (!parsed.success) {
+      return { ply: 0, token: null, ...parsed };
+    }
+
+    const { headers, config, plies } = parsed;
+
+    const coinToss = headers.CoinToss;
+    if (coinToss !== 'X' && coinToss !== 'O') {
+      return { success: false, message: 'CoinToss header must be "X" or "O"', ply: 0, token: null };
+    }
+
+    const engine = this.createEngine(config);
+    engine.reset(coinToss);
+    const cell = index => this.indexToCell(index, engine.BOARD_SIZE);
+
+    for (let i = 0; i < plies.length; i++) {
+      const { token, index, removed, winMarker } = plies[i];
+      const fail = message => ({ success: false, message: `Ply ${i + 1} (${token}): ${message}`, ply: i + 1, token });
+
+      const result = engine.applyMove(index);
+      if (!result.success) {
+        return fail(result.message);
+      }
+
+      if (result.fifoRemoved !== removed) {
+        if (result.fifoRemoved === null) {
+          return fail(`no FIFO removal happens, but ${cell(removed)} is marked as removed`);
+        }
+        if (removed === null) {
+          return fail(`FIFO removes ${cell(result.fifoRemoved)}, but no removal is marked`);
+        }
+        return fail(`FIFO removes ${cell(result.fifoRemoved)}, not ${cell(removed)}`);
+      }
+
+      if (winMarker && !(result.gameOver && result.winner)) {
+        return fail('marked as winning, but the game continues');
+      }
+
+      if (result.gameOver && i < plies.length - 1) {
+        return { success: false, message: `Ply ${i + 2}: game is already over`, ply: i + 2, token: plies[i + 1].token };
+      }
+    }
+
+    // A draw by agreement is not a ply: the players agreed after the last one
+    if (headers.DrawReason === engine.DRAW_AGREEMENT && !engine.gameOver) {
+      engine.offerDraw();
+      engine.acceptDraw();
+    }
+
+    if (headers.Result !== undefined && headers.Result !== this.getResult(engine)) {
+      return {
+        success: false,
+        message: `Result header "${headers.Result}" does not match the replayed result "${this.getResult(engine)}"`,
+        ply: plies.length,
+        token: null
+      };
+    }
+
+    return { success: true, engine, headers };
+  }
+
+  /**
+   * Rebuild the position after every ply of an engine's game (for replay)
+   * Returns one step per ply, preceded by the empty starting position (ply 0):
+   *   { ply, token, player, index, removed, winningLine, state }
+   * where index is the placed cell (PASS for a pass), removed the FIFO-removed cell (or null)
+   * and state is the engine's getState() after the ply
+   */
+  buildTimeline(engine) {
+    const replay = this.createEngine(engine.getConfig());
+    replay.reset(engine.startingPlayer);
+
+    const steps = [{
+      ply: 0,
+      token: null,
+      player: null,
+      index: null,
+      removed: null,
+      winningLine: null,
+      state: replay.getState()
+    }];
+
+    const tokens = this.getMoveTokens(engine.moveHistory, engine.BOARD_SIZE);
+    const plies = engine.moveHistory.filter(entry => entry.type === 'placement' || entry.type === 'pass');
+
+    plies.forEach((entry, i) => {
+      const result = replay.applyMove(entry.index);
+      if (!result.success) {
+        throw new Error(`Ply ${i + 1} (${tokens[i]}) cannot be replayed: ${result.message}`);
+      }
+
+      steps.push({
+        ply: i + 1,
+        token: result.gameOver && result.winner ? `${tokens[i]}#` : tokens[i],
+        player: entry.player,
+        index: entry.index,
+        removed: result.fifoRemoved,
+        winningLine: result.winningLine || null,
+        state: replay.getState()
+      });
+    });
+
+    return steps;
+  }
+
+  /**
+   * Create a GameEngine in both browser and Node.js environments
+   */
+  createEngine(config = {}) {
+    const Engine = typeof GameEngine !== 'undefined' ? GameEngine : require('./game-engine.js');
+    return new Engine(config);
+  }
+}
+
+// Export for use in both browser and Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GameNotation;
+}
@@ -0,0 +1,193 @@
+/**
+ * Post-Game Review for Checkerboard Tic-Tac-Toe
+ *
+ * Replays a game's moveHistory and, before every ply, asks CPUPlayer for the
+ * best move and the score of the move that was played (both searched to the
+ * same depth, from the mover's point of view). Each ply gets:
+ * - A classification from the drop in the mover's win chance:
+ *   inaccuracy, mistake or blunder (null for a good move)
+ * - The immediate win it missed, or the opponent's immediate win it failed to block
+ * - The evaluation after it from X's point of view, for the evaluation graph
+ * A pass (when the rules allow one) is scored like any other move.
+ *
+ * Scores become win chances with a logistic curve: a score of EVAL_SCALE is
+ * about a 73% chance, wins and forced sequences are close to 0% or 100%. So
+ * swapping one winning move for another costs nothing, while giving up a won
+ * position is a blunder.
+ */
+
+class GameReview {
+  /**
+   * @param {Object} options
+   * @param {number} options.depth - Plies searched per position (default 3)
+   * @param {Object} options.thresholds - Win chance drops { inaccuracy, mistake, blunder }
+   * @param {Function} options.onProgress - Called with { ply, plies } after each reviewed ply
+   */
+  constructor(options = {}) {
+    this.EVAL_SCALE = 200;
+    this.DEFAULT_THRESHOLDS = { inaccuracy: 0.1, mistake: 0.2, blunder: 0.3 };
+    this.CLASSIFICATIONS = ['blunder', 'mistake', 'inaccuracy']; // Worst first
+
+    this.depth = options.depth || 3;
+    this.thresholds = { ...this.DEFAULT_THRESHOLDS, ...(options.thresholds || {}) };
+    this.onProgress = options.onProgress || null;
+  }
+
+  /**
+   * Review every ply of an engine's game (finished or in progress)
+   * Returns {
+   *   depth,
+   *   plies: [{ ply, player, move, removed, bestMove, bestScore, score, loss,
+   *             classification, missedWin, missedBlock, evaluation }],
+   *   evaluations: X's evaluation before ply 1 and after every ply (plies + 1 values),
+   *   chances: X's win chance (0-1) for each evaluation, for graphs,
+   *   summary: { X: tally, O: tally } with tally { inaccuracy, mistake, blunder, missedWins, missedBlocks }
+   * }
+   * Scores are from the mover's point of view, loss is the drop in their win chance (0-1);
+   * missedBlock is the cell that would have stopped the opponent's immediate win,
+   * when the move played left them one
+   */
+  reviewGame(engine) {
+    const replay = this.createEngine(engine.getConfig());
+    replay.reset(engine.startingPlayer);
+    const cpu = this.createCPU(replay);
+
+    const moves = engine.moveHistory.filter(entry => entry.type === 'placement' || entry.type === 'pass');
+    const review = {
+      depth: this.depth,
+      plies: [],
+      evaluations: [],
+      summary: { X: this.createTally(), O: this.createTally() }
+    };
+
+    moves.forEach((entry, i) => {
+      const player = replay.currentPlayer;
+      const analysis = cpu.analysePosition({ count: 1, depth: this.depth });
+      const score = cpu.scoreMove(entry.index, this.depth);
+
+      // The played move may be one the search pruned, and better than its pick
+      const best = analysis.moves[0];
+      const bestMove = best && best.score > score ? best.move : entry.index;
+      const bestScore = best ? Math.max(best.score, score) : score;
+      if (i === 0) {
+        review.evaluations.push(this.fromX(bestScore, player));
+      }
+
+      // A block only counts if taking it would have stopped every immediate win
+      const block = analysis.blockingMove;
+      const blockHolds = block !== null && entry.index !== block && !this.leavesWin(replay, cpu, block);
+
+      const result = replay.applyMove(entry.index);
+      if (!result.success) {
+        throw new Error(`Ply ${i + 1} cannot be replayed: ${result.message}`);
+      }
+
+      const won = result.gameOver && result.winner === player;
+      const threatened = !result.gameOver && cpu.findImmediateWin(replay.currentPlayer, replay.getValidMoves()) !== null;
+      const loss = Math.max(0, this.winChance(bestScore) - this.winChance(score));
+      const ply = {
+        ply: i + 1,
+        player,
+        move: entry.index,
+        removed: result.fifoRemoved,
+        bestMove,
+        bestScore,
+        score,
+        loss,
+        classification: this.classify(loss),
+        missedWin: analysis.winningMove !== null && !won ? analysis.winningMove : null,
+        missedBlock: blockHolds && threatened ? block : null,
+        evaluation: this.fromX(score, player)
+      };
+
+      review.plies.push(ply);
+      review.evaluations.push(ply.evaluation);
+      this.countPly(review.summary[player], ply);
+
+      if (this.onProgress) {
+        this.onProgress({ ply: i + 1, plies: moves.length });
+      }
+    });
+
+    if (moves.length === 0) {
+      review.evaluations.push(0); // Nothing played, nothing to judge
+    }
+    review.chances = review.evaluations.map(evaluation => this.winChance(evaluation));
+
+    return review;
+  }
+
+  /**
+   * Win chance (0-1) for a score from the mover's point of view
+   */
+  winChance(score) {
+    return 1 / (1 + Math.exp(-score / this.EVAL_SCALE));
+  }
+
+  /**
+   * Worst classification whose threshold a win chance drop reaches, or null
+   */
+  classify(loss) {
+    return this.CLASSIFICATIONS.find(name => loss >= this.thresholds[name]) || null;
+  }
+
+  /**
+   * Score from the mover's point of view as seen by X
+   */
+  fromX(score, player) {
+    return player === 'X' ? score : -score;
+  }
+
+  /**
+   * Whether the opponent can win at once after the player to move plays move
+   */
+  leavesWin(replay, cpu, move) {
+    const played = replay.makeMove(move);
+    const wins = !replay.gameOver && cpu.findImmediateWin(replay.currentPlayer, replay.getValidMoves()) !== null;
+    replay.unmakeMove(played);
+    return wins;
+  }
+
+  /**
+   * Flag counts for one player
+   */
+  createTally() {
+    return { inaccuracy: 0, mistake: 0, blunder: 0, missedWins: 0, missedBlocks: 0 };
+  }
+
+  /**
+   * Add a reviewed ply's flags to its player's tally
+   */
+  countPly(tally, ply) {
+    if (ply.classification) {
+      tally[ply.classification]++;
+    }
+    if (ply.missedWin !== null) {
+      tally.missedWins++;
+    }
+    if (ply.missedBlock !== null) {
+      tally.missedBlocks++;
+    }
+  }
+
+  /**
+   * Create a GameEngine in both browser and Node.js environments
+   */
+  createEngine(config) {
+    const Engine = typeof GameEngine !== 'undefined' ? GameEngine : require('./game-engine.js');
+    return new Engine(config);
+  }
+
+  /**
+   * Create the reviewing CPUPlayer in both browser and Node.js environments
+   */
+  createCPU(engine) {
+    const Player = typeof CPUPlayer !== 'undefined' ? CPUPlayer : require('./cpu-player.js');
+    return new Player(engine, 'hard');
+  }
+}
+
+// Export for use in both browser and Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GameReview;
+}
@@ -0,0 +1,215 @@
+/**
+ * Saved Game Storage
+ *
+ * Persists engine states in localStorage so games survive a reload:
+ * - An autosave slot holding the game in progress (resumed on page load)
+ * - A list of named saves that can be loaded, renamed or deleted
+ *
+ * Entries wrap an engine getState() snapshot:
+ *   { id, name, savedAt, summary, engineVersion, state }
+ *
+ * The engine version is recorded so the UI can flag saves from an older engine;
+ * whether such a save can be restored is up to the engine's loadState, which
+ * migrates older states or throws a descriptive error.
+ *
+ * Storage is injectable (anything with getItem/setItem/removeItem) for testing.
+ * When no storage is available (e.g. privacy mode) every call fails gracefully.
+ */
+
+class GameStorage {
+  /**
+   * @param {string} namespace - Key prefix, one per game (e.g. "checkerboard")
+   * @param {Object} storage - localStorage-like object (defaults to window.localStorage)
+   */
+  constructor(namespace, storage = null) {
+    this.FORMAT_VERSION = 1;
+    this.AUTOSAVE_KEY = `${namespace}.autosave`;
+    this.SAVES_KEY = `${namespace}.saves`;
+    this.MAX_NAME_LENGTH = 40;
+
+    this.storage = storage || GameStorage.defaultStorage();
+  }
+
+  /**
+   * Get window.localStorage if it exists and is usable
+   */
+  static defaultStorage() {
+    try {
+      return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (error) {
+      // Accessing localStorage throws when storage is disabled
+      return null;
+    }
+  }
+
+  /**
+   * Wrap a state in a storage entry
+   */
+  createEntry(state, name, summary) {
+    return {
+      format: this.FORMAT_VERSION,
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      name,
+      savedAt: new Date().toISOString(),
+      summary: summary || '',
+      engineVersion: state.version || null,
+      state
+    };
+  }
+
+  /**
+   * Read and parse a key, returning null if missing or unreadable
+   */
+  read(key) {
+    if (!this.storage) {
+      return null;
+    }
+
+    try {
+      const raw = this.storage.getItem(key);
+      return raw === null ? null : JSON.parse(raw);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Serialize a value into a key
+   * Returns { success, message }
+   */
+  write(key, value) {
+    if (!this.storage) {
+      return { success: false, message: "Browser storage is not available" };
+    }
+
+    try {
+      this.storage.setItem(key, JSON.stringify(value));
+      return { success: true, message: "Saved" };
+    } catch (error) {
+      return { success: false, message: `Could not save: ${error.message}` };
+    }
+  }
+
+  /**
+   * Whether a parsed value is an entry this storage can read
+   */
+  isEntry(entry) {
+    return entry !== null && typeof entry === 'object' &&
+      entry.format === this.FORMAT_VERSION &&
+      typeof entry.id === 'string' && entry.state && typeof entry.state === 'object';
+  }
+
+  /**
+   * Overwrite the autosave slot with the current game
+   */
+  saveAutosave(state, summary = '') {
+    return this.write(this.AUTOSAVE_KEY, this.createEntry(state, 'Autosave', summary));
+  }
+
+  /**
+   * Get the autosave entry, or null if there is none (or it is unreadable)
+   */
+  loadAutosave() {
+    const entry = this.read(this.AUTOSAVE_KEY);
+    return this.isEntry(entry) ? entry : null;
+  }
+
+  /**
+   * Remove the autosave slot
+   */
+  clearAutosave() {
+    if (this.storage) {
+      try {
+        this.storage.removeItem(this.AUTOSAVE_KEY);
+      } catch (error) {
+        // Nothing to clear if storage is unusable
+      }
+    }
+  }
+
+  /**
+   * Get all named saves, newest first
+   */
+  listSaves() {
+    const saves = this.read(this.SAVES_KEY);
+    if (!Array.isArray(saves)) {
+      return [];
+    }
+
+    return saves
+      .filter(entry => this.isEntry(entry))
+      .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+  }
+
+  /**
+   * Get a named save by id, or null if it does not exist
+   */
+  getSave(id) {
+    return this.listSaves().find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Add a named save
+   * Returns { success, message, entry }
+   */
+  saveGame(name, state, summary = '') {
+    const cleanName = this.cleanName(name);
+    if (!cleanName) {
+      return { success: false, message: "Save name cannot be empty" };
+    }
+
+    const entry = this.createEntry(state, cleanName, summary);
+    const result = this.write(this.SAVES_KEY, [entry, ...this.listSaves()]);
+    return result.success
+      ? { success: true, message: `Saved "${cleanName}"`, entry }
+      : result;
+  }
+
+  /**
+   * Rename a named save
+   * Returns { success, message }
+   */
+  renameSave(id, name) {
+    const cleanName = this.cleanName(name);
+    if (!cleanName) {
+      return { success: false, message: "Save name cannot be empty" };
+    }
+
+    const saves = this.listSaves();
+    const entry = saves.find(save => save.id === id);
+    if (!entry) {
+      return { success: false, message: "Saved game not found" };
+    }
+
+    entry.name = cleanName;
+    const result = this.write(this.SAVES_KEY, saves);
+    return result.success ? { success: true, message: `Renamed to "${cleanName}"` } : result;
+  }
+
+  /**
+   * Delete a named save
+   * Returns { success, message }
+   */
+  deleteSave(id) {
+    const saves = this.listSaves();
+    const remaining = saves.filter(save => save.id !== id);
+    if (remaining.length === saves.length) {
+      return { success: false, message: "Saved game not found" };
+    }
+
+    const result = this.write(this.SAVES_KEY, remaining);
+    return result.success ? { success: true, message: "Saved game deleted" } : result;
+  }
+
+  /**
+   * Trim a save name to MAX_NAME_LENGTH characters
+   */
+  cleanName(name) {
+    return String(name || '').trim().slice(0, this.MAX_NAME_LENGTH);
+  }
+}
+
+// Export for use in both browser and Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GameStorage;
+}
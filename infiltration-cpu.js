@@ -0,0 +1,512 @@
+/**
+ * CPU Player for Tic-Tac-Toe 2: Infiltration
+ *
+ * Implements deterministic AI with three difficulty levels:
+ * - Easy: Heuristic-only (no lookahead)
+ * - Medium: Minimax depth 2 with alpha-beta pruning
+ * - Hard: Minimax depth 3 with alpha-beta pruning and candidate move pruning
+ *
+ * Handles every phase of InfiltrationEngine:
+ * - Deployment: chooses a cell from getValidPlacements()
+ * - Pie decision: chooses between invokePieRule() and declinePieRule()
+ * - Movement: steps and captures from getAllValidMoves() (respecting forcedCapture)
+ * - Re-placement: replaceCapturedPiece() when captured pieces are waiting
+ *
+ * Actions are plain objects:
+ * - { type: 'placement', index }
+ * - { type: 'pie', swap: boolean }
+ * - { type: 'move' | 'capture', from, to, via }
+ * - { type: 'replacement', index }
+ */
+
+class InfiltrationCPU {
+  constructor(engine, difficulty = 'medium') {
+    this.engine = engine;
+    this.difficulty = difficulty.toLowerCase();
+    this.BOARD_SIZE = engine.BOARD_SIZE;
+    this.CELLS_COUNT = engine.CELLS_COUNT;
+    this.WIN_LENGTH = engine.WIN_LENGTH;
+
+    // Precompute all 4-length segments for heuristic evaluation
+    this.allSegments = this.precomputeSegments();
+
+    // Precompute square influence (how many segments each square participates in)
+    this.squareInfluence = this.precomputeSquareInfluence();
+
+    // Configuration
+    this.CANDIDATE_COUNT = 12; // Top K actions to consider at the root (Hard mode)
+    this.MAX_TIME_MS = 5000; // Time budget safeguard
+    this.DRAW_MARGIN = 8; // Draw offers are declined when ahead by more than this (about one piece)
+    this.startTime = 0;
+
+    // Heuristic weights
+    this.WEIGHTS = {
+      piece: 8,        // Each piece on the board
+      king: 15,        // Extra value for a promoted piece
+      advance: 1,      // Per row a non-king has advanced toward the promotion row
+      influence: 0.5   // Square influence for pieces inside opponent territory
+    };
+  }
+
+  /**
+   * Precompute all possible 4-length segments (H/V/D) on the board
+   * Returns array of segment objects with indices and territory info
+   */
+  precomputeSegments() {
+    const segments = [];
+    const directions = [
+      { dr: 0, dc: 1 },  // Horizontal
+      { dr: 1, dc: 0 },  // Vertical
+      { dr: 1, dc: 1 },  // Diagonal down-right
+      { dr: 1, dc: -1 }  // Diagonal down-left
+    ];
+
+    for (let row = 0; row < this.BOARD_SIZE; row++) {
+      for (let col = 0; col < this.BOARD_SIZE; col++) {
+        for (const dir of directions) {
+          const segment = [];
+          let valid = true;
+
+          for (let i = 0; i < this.WIN_LENGTH; i++) {
+            const r = row + i * dir.dr;
+            const c = col + i * dir.dc;
+
+            if (r < 0 || r >= this.BOARD_SIZE || c < 0 || c >= this.BOARD_SIZE) {
+              valid = false;
+              break;
+            }
+
+            segment.push(r * this.BOARD_SIZE + c);
+          }
+
+          if (valid) {
+            // X's target zone is O's home (top), O's target zone is X's home (bottom)
+            const xTarget = segment.every(idx => this.engine.isInOpponentTerritory(idx, this.engine.PLAYER_X));
+            const oTarget = segment.every(idx => this.engine.isInOpponentTerritory(idx, this.engine.PLAYER_O));
+
+            segments.push({
+              indices: segment,
+              xTarget,
+              oTarget
+            });
+          }
+        }
+      }
+    }
+
+    return segments;
+  }
+
+  /**
+   * Precompute how many winning segments each square participates in
+   * Used for positional bias in heuristic
+   */
+  precomputeSquareInfluence() {
+    const influence = Array(this.CELLS_COUNT).fill(0);
+
+    for (const segment of this.allSegments) {
+      for (const idx of segment.indices) {
+        influence[idx]++;
+      }
+    }
+
+    return influence;
+  }
+
+  /**
+   * Get every legal action for the player to move
+   */
+  getLegalActions(engine) {
+    if (engine.gameOver) {
+      return [];
+    }
+
+    if (engine.phase === engine.PHASE_PIE_DECISION) {
+      return [
+        { type: 'pie', swap: true },
+        { type: 'pie', swap: false }
+      ];
+    }
+
+    if (engine.phase === engine.PHASE_PLACEMENT) {
+      return engine.getValidPlacements().map(index => ({ type: 'placement', index }));
+    }
+
+    const actions = [];
+    let moves = engine.getAllValidMoves();
+
+    // Forced capture: only captures are legal when one is available
+    if (engine.config.forcedCapture && moves.some(move => move.type === 'capture')) {
+      moves = moves.filter(move => move.type === 'capture');
+    }
+
+    for (const move of moves) {
+      actions.push({ type: move.type, from: move.from, to: move.to, via: move.via });
+    }
+
+    // Captured pieces may be re-placed in home territory instead of moving
+    if (engine.capturedPieces[engine.currentPlayer] > 0) {
+      for (let i = 0; i < engine.CELLS_COUNT; i++) {
+        if (engine.board[i] === engine.EMPTY && engine.isInHomeTerritory(i, engine.currentPlayer)) {
+          actions.push({ type: 'replacement', index: i });
+        }
+      }
+    }
+
+    return actions;
+  }
+
+  /**
+   * Apply an action to an engine
+   * Returns the engine's result object
+   */
+  applyAction(engine, action) {
+    switch (action.type) {
+      case 'placement':
+        return engine.placePiece(action.index);
+      case 'pie':
+        return action.swap ? engine.invokePieRule() : engine.declinePieRule();
+      case 'move':
+      case 'capture':
+        return engine.movePiece(action.from, action.to);
+      case 'replacement':
+        return engine.replaceCapturedPiece(action.index);
+      default:
+        return { success: false, message: "Unknown action type" };
+    }
+  }
+
+  /**
+   * Get the best action for current player
+   * Returns action object or null when no action is available
+   */
+  getBestMove() {
+    this.startTime = Date.now();
+    const currentPlayer = this.engine.currentPlayer;
+
+    const legalActions = this.getLegalActions(this.engine);
+
+    if (legalActions.length === 0) {
+      return null;
+    }
+
+    if (legalActions.length === 1) {
+      return legalActions[0];
+    }
+
+    // Check for immediate winning action
+    const winningAction = this.findImmediateWin(this.engine, legalActions);
+    if (winningAction !== null) {
+      return winningAction;
+    }
+
+    // Apply difficulty-based strategy
+    switch (this.difficulty) {
+      case 'easy':
+        return this.getBestMoveEasy(legalActions, currentPlayer);
+      case 'medium':
+        return this.searchRoot(legalActions, currentPlayer, 2);
+      case 'hard':
+        return this.searchRoot(this.getCandidateActions(this.engine, legalActions, currentPlayer), currentPlayer, 3);
+      default:
+        return this.searchRoot(legalActions, currentPlayer, 2);
+    }
+  }
+
+  /**
+   * Easy: Heuristic-only evaluation (no lookahead)
+   */
+  getBestMoveEasy(legalActions, perspective) {
+    let bestAction = legalActions[0];
+    let bestScore = -Infinity;
+
+    for (const action of legalActions) {
+      const cloned = this.engine.clone();
+      this.applyAction(cloned, action);
+
+      const score = cloned.gameOver
+        ? this.evaluateTerminal(cloned, perspective)
+        : this.evaluateState(cloned, perspective);
+
+      if (score > bestScore) {
+        bestScore = score;
+        bestAction = action;
+      }
+    }
+
+    return bestAction;
+  }
+
+  /**
+   * Medium/Hard: Minimax over the given root actions with alpha-beta pruning
+   */
+  searchRoot(rootActions, perspective, depth) {
+    let bestAction = rootActions[0];
+    let bestScore = -Infinity;
+    let alpha = -Infinity;
+    const beta = Infinity;
+
+    for (const action of rootActions) {
+      const cloned = this.engine.clone();
+      this.applyAction(cloned, action);
+
+      const score = this.minimax(cloned, depth - 1, perspective, alpha, beta);
+
+      if (score > bestScore) {
+        bestScore = score;
+        bestAction = action;
+      }
+
+      alpha = Math.max(alpha, bestScore);
+    }
+
+    return bestAction;
+  }
+
+  /**
+   * Find an action that wins immediately for the player to move
+   * Returns action or null
+   */
+  findImmediateWin(engine, legalActions) {
+    const player = engine.currentPlayer;
+
+    for (const action of legalActions) {
+      if (action.type === 'pie') {
+        continue;
+      }
+
+      const cloned = engine.clone();
+      const result = this.applyAction(cloned, action);
+
+      if (result.gameOver && result.winner === player) {
+        return action;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get candidate actions for Hard mode (pruned action list)
+   * Always includes immediate wins, then top K heuristic actions
+   */
+  getCandidateActions(engine, legalActions, player) {
+    if (legalActions.length <= this.CANDIDATE_COUNT) {
+      return legalActions;
+    }
+
+    const scored = legalActions.map((action, order) => {
+      const cloned = engine.clone();
+      this.applyAction(cloned, action);
+      const score = cloned.gameOver
+        ? this.evaluateTerminal(cloned, player)
+        : this.evaluateState(cloned, player);
+      return { action, score, order };
+    });
+
+    // Sort by score (descending) then by generation order for determinism
+    scored.sort((a, b) => {
+      if (b.score !== a.score) {
+        return b.score - a.score;
+      }
+      return a.order - b.order;
+    });
+
+    return scored.slice(0, this.CANDIDATE_COUNT).map(entry => entry.action);
+  }
+
+  /**
+   * Minimax with alpha-beta pruning
+   * The side to move is read from the engine, since placement order and the
+   * pie rule do not strictly alternate players.
+   * @param {InfiltrationEngine} engine - Current game state
+   * @param {number} depth - Remaining depth
+   * @param {string} perspective - Player we're evaluating for (CPU)
+   * @param {number} alpha - Alpha value for pruning
+   * @param {number} beta - Beta value for pruning
+   */
+  minimax(engine, depth, perspective, alpha, beta) {
+    // Terminal conditions
+    if (engine.gameOver) {
+      return this.evaluateTerminal(engine, perspective);
+    }
+
+    // Time budget check
+    if (depth === 0 || Date.now() - this.startTime > this.MAX_TIME_MS) {
+      return this.evaluateState(engine, perspective);
+    }
+
+    const legalActions = this.getLegalActions(engine);
+    if (legalActions.length === 0) {
+      return this.evaluateState(engine, perspective);
+    }
+
+    const isMaximizing = engine.currentPlayer === perspective;
+
+    if (isMaximizing) {
+      let maxEval = -Infinity;
+
+      for (const action of legalActions) {
+        const cloned = engine.clone();
+        this.applyAction(cloned, action);
+
+        const evalScore = this.minimax(cloned, depth - 1, perspective, alpha, beta);
+        maxEval = Math.max(maxEval, evalScore);
+        alpha = Math.max(alpha, evalScore);
+
+        if (beta <= alpha) {
+          break; // Beta cutoff
+        }
+      }
+
+      return maxEval;
+    } else {
+      let minEval = Infinity;
+
+      for (const action of legalActions) {
+        const cloned = engine.clone();
+        this.applyAction(cloned, action);
+
+        const evalScore = this.minimax(cloned, depth - 1, perspective, alpha, beta);
+        minEval = Math.min(minEval, evalScore);
+        beta = Math.min(beta, evalScore);
+
+        if (beta <= alpha) {
+          break; // Alpha cutoff
+        }
+      }
+
+      return minEval;
+    }
+  }
+
+  /**
+   * Whether the CPU, playing `player`, accepts a draw offered in the current
+   * position: only when its evaluation does not have it ahead by more than DRAW_MARGIN
+   */
+  acceptsDraw(player) {
+    if (this.engine.gameOver) {
+      return false;
+    }
+    return this.evaluateState(this.engine, player) <= this.DRAW_MARGIN;
+  }
+
+  /**
+   * Evaluate terminal state (win/loss/draw)
+   */
+  evaluateTerminal(engine, perspective) {
+    if (engine.winner === perspective) {
+      return 10000; // CPU wins
+    } else if (engine.winner) {
+      return -10000; // CPU loses
+    } else {
+      return 0; // Draw
+    }
+  }
+
+  /**
+   * Heuristic evaluation of non-terminal state
+   * Returns score where higher is better for perspective player
+   */
+  evaluateState(engine, perspective) {
+    const opponent = perspective === engine.PLAYER_X ? engine.PLAYER_O : engine.PLAYER_X;
+
+    let score = 0;
+
+    // 1. Threat scoring via segments in each side's target zone
+    score += this.evaluateSegments(engine, perspective);
+
+    // 2. Material, kings, advancement and infiltration depth
+    score += this.evaluatePieces(engine, perspective);
+    score -= this.evaluatePieces(engine, opponent);
+
+    return score;
+  }
+
+  /**
+   * Evaluate all segments for threat scoring
+   */
+  evaluateSegments(engine, perspective) {
+    const opponent = perspective === engine.PLAYER_X ? engine.PLAYER_O : engine.PLAYER_X;
+    let score = 0;
+
+    for (const segment of this.allSegments) {
+      const isRelevantForPerspective = perspective === engine.PLAYER_X ? segment.xTarget : segment.oTarget;
+      const isRelevantForOpponent = opponent === engine.PLAYER_X ? segment.xTarget : segment.oTarget;
+
+      if (!isRelevantForPerspective && !isRelevantForOpponent) {
+        continue;
+      }
+
+      // Count pieces in this segment
+      let perspectiveCount = 0;
+      let opponentCount = 0;
+
+      for (const idx of segment.indices) {
+        if (engine.board[idx] === perspective) {
+          perspectiveCount++;
+        } else if (engine.board[idx] === opponent) {
+          opponentCount++;
+        }
+      }
+
+      // Score perspective's threats in opponent territory
+      if (isRelevantForPerspective && opponentCount === 0) {
+        score += this.threatScore(perspectiveCount);
+      }
+
+      // Penalize opponent's threats in perspective's territory
+      if (isRelevantForOpponent && perspectiveCount === 0) {
+        score -= this.threatScore(opponentCount);
+      }
+    }
+
+    return score;
+  }
+
+  /**
+   * Score for a segment holding `count` of one player's pieces and no enemy pieces
+   */
+  threatScore(count) {
+    if (count === 4) return 1000; // Winning line (shouldn't happen in non-terminal)
+    if (count === 3) return 100;  // Strong threat
+    if (count === 2) return 10;   // Medium threat
+    if (count === 1) return 1;    // Weak threat
+    return 0;
+  }
+
+  /**
+   * Evaluate a single player's pieces: material, kings, advancement, infiltration
+   */
+  evaluatePieces(engine, player) {
+    let score = 0;
+
+    for (let i = 0; i < this.CELLS_COUNT; i++) {
+      if (engine.board[i] !== player) {
+        continue;
+      }
+
+      score += this.WEIGHTS.piece;
+
+      if (engine.isKingAt(i)) {
+        score += this.WEIGHTS.king;
+      } else {
+        // Rows advanced from the home edge toward the promotion row
+        const row = Math.floor(i / this.BOARD_SIZE);
+        const advanced = player === engine.PLAYER_X ? (this.BOARD_SIZE - 1 - row) : row;
+        score += advanced * this.WEIGHTS.advance;
+      }
+
+      if (engine.isInOpponentTerritory(i, player)) {
+        score += this.squareInfluence[i] * this.WEIGHTS.influence;
+      }
+    }
+
+    return score;
+  }
+}
+
+// Export for use in browser and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = InfiltrationCPU;
+}
@@ -14,6 +14,14 @@
  * - Phase 2 (Movement): Players move pieces to adjacent squares or capture by jumping
  *
  * Win Condition: Get 4-in-a-row (H/V/D) entirely in opponent's territory
+ *
+ * Draws (drawReason says which):
+ * - repetition: the same movement-phase position (pieces with their king
+ *   flags, inventories and side to move) occurs config.repetitions times
+ *   (default 3, 0 to play on)
+ * - move-limit: config.moveLimit movement-phase actions in a row without a
+ *   capture or promotion (default 50, 0 for no limit)
+ * - agreement: a draw offered by one player (offerDraw) and accepted by the other
  */
 
 class InfiltrationEngine {
@@ -25,15 +33,36 @@ class InfiltrationEngine {
     this.EMPTY = "";
     this.PLAYER_X = "X";
     this.PLAYER_O = "O";
-    this.VERSION = "1.2";
+    this.VERSION = "1.3"; // 1.2 states and records predate the draw rules (they play on)
+
+    // Draw rules: 0 turns them off, any other value must be a whole number of at least the minimum
+    this.DEFAULT_REPETITIONS = 3;
+    this.DEFAULT_MOVE_LIMIT = 50;
+    this.DRAW_CONFIG_MINIMUMS = {
+      repetitions: 2,
+      moveLimit: 1
+    };
+
+    // Draw reasons (drawReason of a drawn game)
+    this.DRAW_REPETITION = 'repetition';
+    this.DRAW_MOVE_LIMIT = 'move-limit';
+    this.DRAW_AGREEMENT = 'agreement';
+    this.DRAW_MESSAGES = {
+      repetition: 'Draw by repetition!',
+      'move-limit': 'Draw by move limit!',
+      agreement: 'Draw by agreement!'
+    };
 
     // Configuration (tuning knobs)
     this.config = {
       pieceCount: config.pieceCount || 10,             // Pieces per player (v1.2: default 10)
       captureEnabled: config.captureEnabled !== false, // Can capture pieces
       forcedCapture: config.forcedCapture || false,    // Must capture if available
-      pieRule: config.pieRule || false                 // Second player can swap colors after first placement
+      pieRule: config.pieRule || false,                // Second player can swap colors after first placement
+      repetitions: config.repetitions !== undefined ? config.repetitions : this.DEFAULT_REPETITIONS,
+      moveLimit: config.moveLimit !== undefined ? config.moveLimit : this.DEFAULT_MOVE_LIMIT
     };
+    this.checkDrawConfig(this.config);
 
     // Game phases
     this.PHASE_PLACEMENT = "placement";
@@ -68,6 +97,8 @@ class InfiltrationEngine {
     this.gameOver = false;
     this.winner = null;
     this.winningLine = null;
+    this.drawReason = null; // One of the DRAW_ reasons once the game is drawn
+    this.drawOffer = null;  // Player whose draw offer awaits an answer
     this.moveHistory = [];
 
     // Piece inventories (pieces not yet placed)
@@ -85,6 +116,30 @@ class InfiltrationEngine {
     this.pieRuleUsed = false;
     this.selectedPiece = null;
     this.kings = Array(this.CELLS_COUNT).fill(false);
+
+    // Undo/redo
+    // undoStack holds one record per action (see recordUndo)
+    // redoStack holds undone records, most recently undone last
+    this.undoStack = [];
+    this.redoStack = [];
+
+    // Draws: movement-phase actions since the last capture or promotion,
+    // and getPositionKey() -> times the position has occurred
+    this.movesWithoutProgress = 0;
+    this.positionCounts = {};
+  }
+
+  /**
+   * Check the draw rules of a config
+   * Throws an Error naming the first invalid one
+   */
+  checkDrawConfig(config) {
+    for (const [key, minimum] of Object.entries(this.DRAW_CONFIG_MINIMUMS)) {
+      const value = config[key];
+      if (value !== undefined && !(Number.isInteger(value) && (value === 0 || value >= minimum))) {
+        throw new Error(`Invalid config.${key}: ${value} (expected 0 or a whole number from ${minimum})`);
+      }
+    }
   }
 
   /**
@@ -179,6 +234,8 @@ class InfiltrationEngine {
       return { success: false, message: "No pieces left to place" };
     }
 
+    const record = this.recordUndo('placePiece', [index], [index]);
+
     // Place the piece
     this.board[index] = this.currentPlayer;
     this.inventory[this.currentPlayer]--;
@@ -207,6 +264,7 @@ class InfiltrationEngine {
 
     if (allPiecesPlaced) {
       this.phase = this.PHASE_MOVEMENT;
+      record.positionKey = this.recordPosition();
       return {
         success: true,
         message: "All pieces deployed. Movement phase begins!",
@@ -234,6 +292,7 @@ class InfiltrationEngine {
     }
 
     const firstMove = this.moveHistory[0];
+    this.recordUndo('invokePieRule', [], [firstMove.index]);
     this.board[firstMove.index] = this.PLAYER_O;
 
     const temp = this.inventory[this.PLAYER_X];
@@ -262,6 +321,7 @@ class InfiltrationEngine {
       return { success: false, message: "Not in pie rule decision phase" };
     }
 
+    this.recordUndo('declinePieRule', [], []);
     this.phase = this.PHASE_PLACEMENT;
     return {
       success: true,
@@ -410,6 +470,9 @@ class InfiltrationEngine {
       }
     }
 
+    const touched = move.type === 'capture' ? [fromIndex, toIndex, move.via] : [fromIndex, toIndex];
+    const record = this.recordUndo('movePiece', [fromIndex, toIndex], touched);
+
     // Execute the move
     const piece = this.board[fromIndex];
     const wasKing = this.isKingAt(fromIndex);
@@ -434,19 +497,23 @@ class InfiltrationEngine {
       isCapture = true;
     }
 
+    const destination = this.indexToCoords(toIndex);
+    const promoted = !this.kings[toIndex] && this.isPromotionRow(piece, destination.row);
+    if (promoted) {
+      this.kings[toIndex] = true;
+    }
+
     this.moveHistory.push({
       type: move.type,
       player: this.currentPlayer,
       from: fromIndex,
       to: toIndex,
       via: move.via,
-      capturedPiece
+      capturedPiece,
+      promoted
     });
-
-    const destination = this.indexToCoords(toIndex);
-    if (!this.kings[toIndex] && this.isPromotionRow(piece, destination.row)) {
-      this.kings[toIndex] = true;
-    }
+    this.movesWithoutProgress = isCapture || promoted ? 0 : this.movesWithoutProgress + 1;
+    this.drawOffer = null;
 
     // Check for win
     const winResult = this.checkWin(this.currentPlayer);
@@ -482,6 +549,19 @@ class InfiltrationEngine {
       }
     }
 
+    // Check for a draw by move limit or repetition
+    if (this.checkDraw(record)) {
+      return {
+        success: true,
+        message: this.getDrawMessage(),
+        gameOver: true,
+        winner: null,
+        drawReason: this.drawReason,
+        moveType: move.type,
+        captured: capturedPiece
+      };
+    }
+
     return {
       success: true,
       message: isCapture ? "Piece captured!" : "Piece moved",
@@ -510,6 +590,8 @@ class InfiltrationEngine {
       return { success: false, message: "Must place in home territory" };
     }
 
+    const record = this.recordUndo('replaceCapturedPiece', [index], [index]);
+
     this.board[index] = this.currentPlayer;
     this.kings[index] = false;
     this.inventory[this.currentPlayer]--;
@@ -521,16 +603,255 @@ class InfiltrationEngine {
       index,
       ...this.indexToCoords(index)
     });
+    this.movesWithoutProgress++;
+    this.drawOffer = null;
 
     // Switch players
     this.currentPlayer = this.currentPlayer === this.PLAYER_X ? this.PLAYER_O : this.PLAYER_X;
 
+    if (this.checkDraw(record)) {
+      return {
+        success: true,
+        message: this.getDrawMessage(),
+        gameOver: true,
+        winner: null,
+        drawReason: this.drawReason
+      };
+    }
+
     return {
       success: true,
       message: "Captured piece replaced"
     };
   }
 
+  /**
+   * Key identifying a position for repetition: every cell (kings in capitals),
+   * both inventories and the side to move
+   */
+  getPositionKey() {
+    const cells = this.board.map((piece, index) => {
+      if (piece === this.EMPTY) {
+        return '.';
+      }
+      return this.kings[index] ? piece : piece.toLowerCase();
+    });
+    return `${this.currentPlayer}:${cells.join('')}:${this.inventory[this.PLAYER_X]}/${this.inventory[this.PLAYER_O]}`;
+  }
+
+  /**
+   * Count the current position
+   * Returns the position key
+   */
+  recordPosition() {
+    const key = this.getPositionKey();
+    this.positionCounts[key] = (this.positionCounts[key] || 0) + 1;
+    return key;
+  }
+
+  /**
+   * Count the position after a movement-phase action and end the game as a
+   * draw once the move limit is reached or the position has occurred
+   * config.repetitions times
+   * @param {Object} record - The action's recordUndo record, which keeps the
+   *   counted position for undo()
+   * Returns whether the game was drawn
+   */
+  checkDraw(record) {
+    record.positionKey = this.recordPosition();
+    const occurrences = this.positionCounts[record.positionKey];
+
+    if (this.config.moveLimit && this.movesWithoutProgress >= this.config.moveLimit) {
+      this.drawReason = this.DRAW_MOVE_LIMIT;
+    } else if (this.config.repetitions && occurrences >= this.config.repetitions) {
+      this.drawReason = this.DRAW_REPETITION;
+    } else {
+      return false;
+    }
+
+    this.gameOver = true;
+    return true;
+  }
+
+  /**
+   * Offer a draw on behalf of the player to move (movement phase only)
+   * The offer stands until the opponent answers it (acceptDraw/declineDraw)
+   * or an action is played
+   * Returns { success: boolean, message: string }
+   */
+  offerDraw() {
+    if (this.gameOver) {
+      return { success: false, message: "Game is already over" };
+    }
+    if (this.phase !== this.PHASE_MOVEMENT) {
+      return { success: false, message: "Draws can only be offered in the movement phase" };
+    }
+    if (this.drawOffer) {
+      return { success: false, message: `${this.drawOffer} has already offered a draw` };
+    }
+
+    this.drawOffer = this.currentPlayer;
+    return { success: true, message: `${this.currentPlayer} offers a draw`, player: this.currentPlayer };
+  }
+
+  /**
+   * Accept the pending draw offer: the game ends as a draw by agreement
+   * Returns { success, message, gameOver, winner, drawReason } like movePiece
+   */
+  acceptDraw() {
+    if (this.gameOver) {
+      return { success: false, message: "Game is already over" };
+    }
+    if (!this.drawOffer) {
+      return { success: false, message: "No draw has been offered" };
+    }
+
+    this.drawOffer = null;
+    this.gameOver = true;
+    this.drawReason = this.DRAW_AGREEMENT;
+    return {
+      success: true,
+      message: this.getDrawMessage(),
+      gameOver: true,
+      winner: null,
+      drawReason: this.drawReason
+    };
+  }
+
+  /**
+   * Decline the pending draw offer; play goes on
+   * Returns { success: boolean, message: string }
+   */
+  declineDraw() {
+    if (!this.drawOffer) {
+      return { success: false, message: "No draw has been offered" };
+    }
+
+    const player = this.drawOffer;
+    this.drawOffer = null;
+    return { success: true, message: `${player === this.PLAYER_X ? this.PLAYER_O : this.PLAYER_X} declines the draw` };
+  }
+
+  /**
+   * Message for a drawn game, naming its drawReason
+   */
+  getDrawMessage() {
+    return this.DRAW_MESSAGES[this.drawReason] || "Draw!";
+  }
+
+  /**
+   * Snapshot everything an action is about to change so undo() can reverse it
+   * @param {string} method - Engine method performing the action (replayed by redo)
+   * @param {Array} args - Arguments passed to that method
+   * @param {Array<number>} cells - Board indices the action modifies
+   * Returns the record (the action adds the position it counts as positionKey)
+   */
+  recordUndo(method, args, cells) {
+    const record = {
+      method,
+      args,
+      cells: cells.map(index => ({ index, value: this.board[index], king: this.kings[index] })),
+      currentPlayer: this.currentPlayer,
+      phase: this.phase,
+      gameOver: this.gameOver,
+      winner: this.winner,
+      winningLine: this.winningLine,
+      drawReason: this.drawReason,
+      drawOffer: this.drawOffer,
+      inventory: { ...this.inventory },
+      capturedPieces: { ...this.capturedPieces },
+      pieRuleUsed: this.pieRuleUsed,
+      movesWithoutProgress: this.movesWithoutProgress,
+      positionKey: null,
+      historyLength: this.moveHistory.length,
+      // invokePieRule() rewrites the first history entry in place
+      firstEntry: this.moveHistory.length > 0 ? { ...this.moveHistory[0] } : null
+    };
+    this.undoStack.push(record);
+    this.redoStack = [];
+    return record;
+  }
+
+  /**
+   * Undo the last action (placement, pie decision, move, capture, promotion or
+   * replacement), with its draw counters and any draw agreed after it
+   * Returns { success: boolean, message: string, ... }
+   */
+  undo() {
+    const record = this.undoStack.pop();
+    if (!record) {
+      return { success: false, message: "Nothing to undo" };
+    }
+
+    for (const cell of record.cells) {
+      this.board[cell.index] = cell.value;
+      this.kings[cell.index] = cell.king;
+    }
+
+    this.currentPlayer = record.currentPlayer;
+    this.phase = record.phase;
+    this.gameOver = record.gameOver;
+    this.winner = record.winner;
+    this.winningLine = record.winningLine;
+    this.drawReason = record.drawReason;
+    this.drawOffer = record.drawOffer;
+    this.inventory = { ...record.inventory };
+    this.capturedPieces = { ...record.capturedPieces };
+    this.pieRuleUsed = record.pieRuleUsed;
+    this.movesWithoutProgress = record.movesWithoutProgress;
+    if (record.positionKey !== null) {
+      this.positionCounts[record.positionKey]--;
+      if (this.positionCounts[record.positionKey] === 0) {
+        delete this.positionCounts[record.positionKey];
+      }
+    }
+    this.moveHistory.length = record.historyLength;
+    if (record.firstEntry) {
+      this.moveHistory[0] = { ...record.firstEntry };
+    }
+    this.selectedPiece = null;
+
+    this.redoStack.push(record);
+
+    return {
+      success: true,
+      message: "Action undone",
+      action: record.method,
+      phase: this.phase
+    };
+  }
+
+  /**
+   * Redo the most recently undone action
+   * Returns the result of the replayed action, or { success: false } if nothing to redo
+   */
+  redo() {
+    if (this.redoStack.length === 0) {
+      return { success: false, message: "Nothing to redo" };
+    }
+
+    // Replaying the action clears the redo stack, so keep the remaining entries
+    const redoStack = this.redoStack;
+    const record = redoStack.pop();
+    const result = this[record.method](...record.args);
+    this.redoStack = redoStack;
+    return result;
+  }
+
+  /**
+   * Check if there is an action to undo
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * Check if there is an undone action to redo
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
   /**
    * Check for win: 4-in-a-row entirely in opponent's territory
    */
@@ -603,14 +924,261 @@ class InfiltrationEngine {
       gameOver: this.gameOver,
       winner: this.winner,
       winningLine: this.winningLine ? [...this.winningLine] : null,
+      drawReason: this.drawReason,
+      drawOffer: this.drawOffer,
       inventory: { ...this.inventory },
       capturedPieces: { ...this.capturedPieces },
       kings: [...this.kings],
-      moveHistory: [...this.moveHistory],
+      // Entries are copied because invokePieRule() edits the first one in place
+      moveHistory: this.moveHistory.map(entry => ({ ...entry })),
       config: { ...this.config },
-      pieRuleUsed: this.pieRuleUsed
+      pieRuleUsed: this.pieRuleUsed,
+      movesWithoutProgress: this.movesWithoutProgress,
+      positionCounts: { ...this.positionCounts }
     };
   }
+
+  /**
+   * Load a game state produced by getState()
+   * Throws an Error describing the first inconsistency if the state is invalid
+   */
+  loadState(state) {
+    state = this.migrateState(state);
+    this.validateState(state);
+
+    this.config = { ...state.config };
+    this.board = [...state.board];
+    this.kings = [...state.kings];
+    this.currentPlayer = state.currentPlayer;
+    this.phase = state.phase;
+    this.gameOver = state.gameOver;
+    this.winner = state.winner;
+    this.winningLine = state.winningLine ? [...state.winningLine] : null;
+    this.drawReason = state.drawReason || null;
+    this.drawOffer = state.drawOffer || null;
+    this.inventory = { ...state.inventory };
+    this.capturedPieces = { ...state.capturedPieces };
+    this.moveHistory = state.moveHistory.map(entry => ({ ...entry }));
+    this.pieRuleUsed = state.pieRuleUsed;
+    this.selectedPiece = null;
+
+    // States saved without the draw counters count from the history, and
+    // repetitions from this position
+    this.movesWithoutProgress = state.movesWithoutProgress !== undefined
+      ? state.movesWithoutProgress
+      : this.countMovesWithoutProgress();
+    if (state.positionCounts) {
+      this.positionCounts = { ...state.positionCounts };
+    } else {
+      this.positionCounts = this.phase === this.PHASE_MOVEMENT ? { [this.getPositionKey()]: 1 } : {};
+    }
+
+    // Undo/redo history belongs to the game that produced it
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Bring a state saved by an older engine version up to VERSION
+   * Returns the migrated state (the state itself if it is current);
+   * throws an Error for versions that cannot be migrated
+   */
+  migrateState(state) {
+    if (!state || typeof state !== 'object') {
+      throw new Error("State must be an object");
+    }
+
+    // Unversioned states are from 1.2, the first version with these movement rules
+    const version = state.version === undefined ? "1.2" : state.version;
+    if (version === this.VERSION) {
+      return state;
+    }
+    if (version === "1.2") {
+      // 1.2 -> 1.3: states saved before the draw rules played on (draw rules
+      // present in the config are kept; loadState counts the rest)
+      const config = state.config && typeof state.config === 'object'
+        ? { repetitions: 0, moveLimit: 0, ...state.config }
+        : state.config;
+      return { ...state, config, version: this.VERSION };
+    }
+    throw new Error(`Unsupported state version ${version} (engine is ${this.VERSION})`);
+  }
+
+  /**
+   * Movement-phase actions at the end of the history since the last capture,
+   * promotion or deployment
+   */
+  countMovesWithoutProgress() {
+    let count = 0;
+    for (let i = this.moveHistory.length - 1; i >= 0; i--) {
+      const entry = this.moveHistory[i];
+      if (entry.type === 'placement' || entry.type === 'capture' || entry.promoted) {
+        break;
+      }
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Check that a state is internally consistent before loading it
+   * Throws an Error with a descriptive message on the first problem found
+   */
+  validateState(state) {
+    if (!state || typeof state !== 'object') {
+      throw new Error("State must be an object");
+    }
+
+    if (state.version !== this.VERSION) {
+      throw new Error(`Unsupported state version ${state.version} (engine is ${this.VERSION})`);
+    }
+
+    const config = state.config;
+    if (!config || typeof config !== 'object') {
+      throw new Error("State is missing config");
+    }
+    if (!Number.isInteger(config.pieceCount) || config.pieceCount < 1) {
+      throw new Error(`Invalid config.pieceCount: ${config.pieceCount}`);
+    }
+    for (const key of ['captureEnabled', 'forcedCapture', 'pieRule']) {
+      if (typeof config[key] !== 'boolean') {
+        throw new Error(`Invalid config.${key}: ${config[key]}`);
+      }
+    }
+    this.checkDrawConfig(config);
+
+    const players = [this.PLAYER_X, this.PLAYER_O];
+
+    if (!Array.isArray(state.board) || state.board.length !== this.CELLS_COUNT) {
+      throw new Error(`Board must be an array of ${this.CELLS_COUNT} cells`);
+    }
+    state.board.forEach((cell, index) => {
+      if (cell !== this.EMPTY && !players.includes(cell)) {
+        throw new Error(`Invalid value "${cell}" at board index ${index}`);
+      }
+    });
+
+    if (!Array.isArray(state.kings) || state.kings.length !== this.CELLS_COUNT) {
+      throw new Error(`Kings must be an array of ${this.CELLS_COUNT} flags`);
+    }
+    state.kings.forEach((isKing, index) => {
+      if (typeof isKing !== 'boolean') {
+        throw new Error(`Invalid king flag at index ${index}`);
+      }
+      if (isKing && state.board[index] === this.EMPTY) {
+        throw new Error(`King marked on empty cell ${index}`);
+      }
+    });
+
+    if (!players.includes(state.currentPlayer)) {
+      throw new Error(`Invalid currentPlayer: ${state.currentPlayer}`);
+    }
+
+    const phases = [this.PHASE_PLACEMENT, this.PHASE_MOVEMENT, this.PHASE_PIE_DECISION];
+    if (!phases.includes(state.phase)) {
+      throw new Error(`Invalid phase: ${state.phase}`);
+    }
+
+    for (const key of ['inventory', 'capturedPieces']) {
+      const counts = state[key];
+      if (!counts || typeof counts !== 'object') {
+        throw new Error(`State is missing ${key}`);
+      }
+      for (const player of players) {
+        if (!Number.isInteger(counts[player]) || counts[player] < 0) {
+          throw new Error(`Invalid ${key}.${player}: ${counts[player]}`);
+        }
+      }
+    }
+
+    for (const player of players) {
+      const onBoard = state.board.filter(cell => cell === player).length;
+      const total = onBoard + state.inventory[player];
+      if (total > config.pieceCount) {
+        throw new Error(
+          `${player} has ${onBoard} pieces on board and ${state.inventory[player]} in inventory, ` +
+          `exceeding pieceCount ${config.pieceCount}`
+        );
+      }
+      if (state.capturedPieces[player] > state.inventory[player]) {
+        throw new Error(`capturedPieces.${player} exceeds inventory.${player}`);
+      }
+      if (state.phase !== this.PHASE_MOVEMENT && state.capturedPieces[player] > 0) {
+        throw new Error(`capturedPieces.${player} must be 0 before the movement phase`);
+      }
+      if (state.phase === this.PHASE_MOVEMENT && state.inventory[player] !== state.capturedPieces[player]) {
+        throw new Error(`inventory.${player} must equal capturedPieces.${player} during the movement phase`);
+      }
+    }
+
+    if (state.phase === this.PHASE_PIE_DECISION && !config.pieRule) {
+      throw new Error("Pie decision phase requires config.pieRule");
+    }
+    if (typeof state.pieRuleUsed !== 'boolean') {
+      throw new Error(`Invalid pieRuleUsed: ${state.pieRuleUsed}`);
+    }
+    if (state.pieRuleUsed && !config.pieRule) {
+      throw new Error("pieRuleUsed is set but config.pieRule is off");
+    }
+
+    if (typeof state.gameOver !== 'boolean') {
+      throw new Error(`Invalid gameOver: ${state.gameOver}`);
+    }
+    if (state.winner !== null && !players.includes(state.winner)) {
+      throw new Error(`Invalid winner: ${state.winner}`);
+    }
+    if (state.winner !== null && !state.gameOver) {
+      throw new Error("Winner is set but gameOver is false");
+    }
+    if (state.winningLine !== null) {
+      if (!Array.isArray(state.winningLine) ||
+          !state.winningLine.every(index => state.board[index] === state.winner)) {
+        throw new Error("Winning line does not match the winner's pieces");
+      }
+    }
+
+    if (!Array.isArray(state.moveHistory)) {
+      throw new Error("moveHistory must be an array");
+    }
+
+    // Draw fields are optional: states saved before the draw rules lack them
+    const drawReasons = [this.DRAW_REPETITION, this.DRAW_MOVE_LIMIT, this.DRAW_AGREEMENT];
+    if (state.drawReason) {
+      if (!drawReasons.includes(state.drawReason)) {
+        throw new Error(`Invalid drawReason: ${state.drawReason}`);
+      }
+      if (!state.gameOver || state.winner !== null) {
+        throw new Error("drawReason is set but the game is not drawn");
+      }
+    }
+    if (state.drawOffer && !players.includes(state.drawOffer)) {
+      throw new Error(`Invalid drawOffer: ${state.drawOffer}`);
+    }
+    if (state.movesWithoutProgress !== undefined &&
+        (!Number.isInteger(state.movesWithoutProgress) || state.movesWithoutProgress < 0)) {
+      throw new Error(`Invalid movesWithoutProgress: ${state.movesWithoutProgress}`);
+    }
+    if (state.positionCounts !== undefined) {
+      if (!state.positionCounts || typeof state.positionCounts !== 'object') {
+        throw new Error("positionCounts must be an object");
+      }
+      for (const [key, count] of Object.entries(state.positionCounts)) {
+        if (!Number.isInteger(count) || count < 1) {
+          throw new Error(`Invalid positionCounts entry "${key}": ${count}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Clone the engine instance (for CPU search trees)
+   * Returns a new InfiltrationEngine with the same state
+   */
+  clone() {
+    const cloned = new InfiltrationEngine(this.config);
+    cloned.loadState(this.getState());
+    return cloned;
+  }
 }
 
 // Export for use in browser and Node.js
@@ -0,0 +1,543 @@
+/**
+ * Tic-Tac-Toe 2: Infiltration Game Record Notation
+ *
+ * A PGN-like text format for InfiltrationEngine games.
+ *
+ * Cells use algebraic coordinates:
+ * - Files a-h are columns left to right (col 0 = a)
+ * - Ranks 1-8 are rows bottom to top (row 7 = rank 1, row 0 = rank 8)
+ * - So X's home (bottom half) is ranks 1-4 and O's home (top half) is ranks 5-8
+ *
+ * A record is a block of headers followed by movetext:
+ *
+ *   [Game "Tic-Tac-Toe 2: Infiltration"]
+ *   [Version "1.2"]
+ *   [PieceCount "2"]
+ *   [CaptureEnabled "On"]
+ *   [ForcedCapture "Off"]
+ *   [PieRule "On"]
+ *   [Repetitions "3"]
+ *   [MoveLimit "50"]
+ *   [Result "*"]
+ *
+ *   1. d4 swap 2. e4 d5 3. c5 e4-e5 4. d5xf5 ...
+ *
+ * Headers:
+ * - PieceCount, CaptureEnabled, ForcedCapture, PieRule, Repetitions, MoveLimit:
+ *   engine config (missing headers use the engine defaults, except Repetitions
+ *   and MoveLimit in version 1.2 records: those predate the draw rules and play
+ *   on; switches are "On" or "Off", the others whole numbers)
+ * - DrawReason (optional): why a drawn game ended (engine drawReason);
+ *   "agreement" ends the game after its last action, the others are replayed
+ * - Version (optional): the engine VERSION, or 1.2 for records from before
+ *   the draw rules
+ * - Result (optional): "X", "O", "Draw" or "*" (in progress)
+ * - Any other header is kept as-is
+ *
+ * Movetext tokens (one per action):
+ * - "d4"       deployment placement
+ * - "swap"     pie rule invoked (O takes the first piece)
+ * - "keep"     pie rule declined
+ * - "e4-e5"    single step
+ * - "d5xf5"    jump capture (the jumped piece sits between the two cells)
+ * - "b7-b8=K"  step or jump that promotes to a king
+ * - "@e7"      re-placement of a captured piece
+ * - A winning action may end with "#"
+ * - "N." move numbers are decorative and ignored when reading
+ * - Comments in braces { ... } are ignored
+ */
+
+class InfiltrationNotation {
+  constructor(boardSize = 8) {
+    this.BOARD_SIZE = boardSize;
+    this.RESULT_IN_PROGRESS = "*";
+    this.RESULT_DRAW = "Draw";
+    this.PIE_SWAP = "swap";
+    this.PIE_KEEP = "keep";
+    this.PRE_DRAW_VERSION = "1.2"; // Records from before the draw rules, replayed without them
+
+    // Header name -> engine config key
+    this.CONFIG_HEADERS = {
+      PieceCount: 'pieceCount',
+      CaptureEnabled: 'captureEnabled',
+      ForcedCapture: 'forcedCapture',
+      PieRule: 'pieRule',
+      Repetitions: 'repetitions',
+      MoveLimit: 'moveLimit'
+    };
+    // Numeric config keys -> smallest value the header may hold (the engine checks the draw rules)
+    this.NUMERIC_CONFIG = {
+      pieceCount: 1,
+      repetitions: 0,
+      moveLimit: 0
+    };
+  }
+
+  /**
+   * Convert board index to algebraic cell (e.g. 36 -> "e4")
+   */
+  indexToCell(index) {
+    const row = Math.floor(index / this.BOARD_SIZE);
+    const col = index % this.BOARD_SIZE;
+    return `${String.fromCharCode(97 + col)}${this.BOARD_SIZE - row}`;
+  }
+
+  /**
+   * Convert algebraic cell to board index (e.g. "e4" -> 36)
+   * Returns null if the cell is not on the board
+   */
+  cellToIndex(cell) {
+    const match = /^([a-z])(\d+)$/.exec(cell);
+    if (!match) {
+      return null;
+    }
+
+    const col = match[1].charCodeAt(0) - 97;
+    const rank = parseInt(match[2], 10);
+    if (col >= this.BOARD_SIZE || rank < 1 || rank > this.BOARD_SIZE) {
+      return null;
+    }
+
+    return (this.BOARD_SIZE - rank) * this.BOARD_SIZE + col;
+  }
+
+  /**
+   * Draw an engine's board as text, rank 8 at the top, with a rule between the halves
+   * Men are x and o, kings are X and O, empty cells are "."
+   */
+  renderBoard(engine) {
+    const files = Array.from({ length: this.BOARD_SIZE }, (_, col) => String.fromCharCode(97 + col)).join(' ');
+    const lines = [`   ${files}`];
+
+    for (let row = 0; row < this.BOARD_SIZE; row++) {
+      if (row === this.BOARD_SIZE / 2) {
+        lines.push(`   ${'-'.repeat(files.length)}`);
+      }
+
+      const rank = this.BOARD_SIZE - row;
+      const cells = [];
+      for (let col = 0; col < this.BOARD_SIZE; col++) {
+        const index = row * this.BOARD_SIZE + col;
+        cells.push(this.pieceSymbol(engine, index));
+      }
+      lines.push(`${String(rank).padStart(2)} ${cells.join(' ')} ${rank}`);
+    }
+
+    lines.push(`   ${files}`);
+    return lines.join('\n');
+  }
+
+  /**
+   * Text symbol for a cell: lowercase for men, uppercase for kings
+   */
+  pieceSymbol(engine, index) {
+    const piece = engine.board[index];
+    if (!piece) {
+      return '.';
+    }
+    return engine.kings[index] ? piece.toUpperCase() : piece.toLowerCase();
+  }
+
+  /**
+   * Get the Result header value for an engine
+   */
+  getResult(engine) {
+    if (!engine.gameOver) {
+      return this.RESULT_IN_PROGRESS;
+    }
+    return engine.winner || this.RESULT_DRAW;
+  }
+
+  /**
+   * Serialize an engine's game into a record
+   * @param {InfiltrationEngine} engine - Game to export
+   * @param {Object} extraHeaders - Additional headers (e.g. { Date: "2026.01.31" })
+   * @returns {string} Record text
+   */
+  exportRecord(engine, extraHeaders = {}) {
+    const headers = {
+      Game: "Tic-Tac-Toe 2: Infiltration",
+      Version: engine.VERSION,
+      ...extraHeaders,
+      PieceCount: String(engine.config.pieceCount),
+      CaptureEnabled: engine.config.captureEnabled ? 'On' : 'Off',
+      ForcedCapture: engine.config.forcedCapture ? 'On' : 'Off',
+      PieRule: engine.config.pieRule ? 'On' : 'Off',
+      Repetitions: String(engine.config.repetitions),
+      MoveLimit: String(engine.config.moveLimit)
+    };
+    if (engine.gameOver && !engine.winner && engine.drawReason) {
+      headers.DrawReason = engine.drawReason;
+    }
+    headers.Result = this.getResult(engine);
+
+    const lines = Object.keys(headers).map(key => {
+      const value = String(headers[key]).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+      return `[${key} "${value}"]`;
+    });
+
+    const tokens = this.getMoveTokens(engine);
+    if (tokens.length > 0 && engine.gameOver && engine.winner) {
+      tokens[tokens.length - 1] += '#';
+    }
+
+    // Number each pair of actions, wrapping movetext at ~80 columns
+    const words = [];
+    tokens.forEach((token, ply) => {
+      if (ply % 2 === 0) {
+        words.push(`${ply / 2 + 1}.`);
+      }
+      words.push(token);
+    });
+
+    const movetext = [];
+    let line = '';
+    for (const word of words) {
+      if (line && line.length + word.length + 1 > 80) {
+        movetext.push(line);
+        line = word;
+      } else {
+        line = line ? `${line} ${word}` : word;
+      }
+    }
+    if (line) {
+      movetext.push(line);
+    }
+
+    return `${lines.join('\n')}\n\n${movetext.join('\n')}\n`;
+  }
+
+  /**
+   * Convert an engine's moveHistory into one token per action
+   * The pie decision is not a history entry, so it is inferred from the first one
+   */
+  getMoveTokens(engine) {
+    const tokens = [];
+
+    engine.moveHistory.forEach((entry, i) => {
+      if (entry.type === 'placement') {
+        tokens.push(this.indexToCell(entry.index));
+      } else if (entry.type === 'replacement') {
+        tokens.push(`@${this.indexToCell(entry.index)}`);
+      } else if (entry.type === 'move' || entry.type === 'capture') {
+        const separator = entry.type === 'capture' ? 'x' : '-';
+        const promotion = entry.promoted ? '=K' : '';
+        tokens.push(`${this.indexToCell(entry.from)}${separator}${this.indexToCell(entry.to)}${promotion}`);
+      }
+
+      if (i === 0 && engine.config.pieRule && engine.phase !== engine.PHASE_PIE_DECISION) {
+        tokens.push(entry.pieSwapped ? this.PIE_SWAP : this.PIE_KEEP);
+      }
+    });
+
+    return tokens;
+  }
+
+  /**
+   * Split record text into headers and action tokens without replaying it
+   * Returns { success: true, headers, plies } or { success: false, message, ply, token }
+   * Each ply is { token, type, index, from, to, promoted, winMarker }
+   */
+  parseRecord(text) {
+    const headers = {};
+    const movetextLines = [];
+
+    for (const rawLine of String(text).split(/\r?\n/)) {
+      const line = rawLine.trim();
+      const header = /^\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]$/.exec(line);
+      if (header) {
+        headers[header[1]] = header[2].replace(/\\(.)/g, '$1');
+      } else if (line.startsWith('[')) {
+        return { success: false, message: `Malformed header: ${line}`, ply: 0, token: null };
+      } else {
+        movetextLines.push(line);
+      }
+    }
+
+    const movetext = movetextLines.join(' ').replace(/\{[^}]*\}/g, ' ');
+    const plies = [];
+
+    for (const word of movetext.split(/\s+/)) {
+      if (!word || /^\d+\.+$/.test(word) || word === this.RESULT_IN_PROGRESS) {
+        continue;
+      }
+
+      const ply = this.parseToken(word);
+      if (ply === null) {
+        return {
+          success: false,
+          message: `Ply ${plies.length + 1}: cannot read "${word}"`,
+          ply: plies.length + 1,
+          token: word
+        };
+      }
+
+      plies.push(ply);
+    }
+
+    return { success: true, headers, plies };
+  }
+
+  /**
+   * Parse a single action token
+   * Returns a ply object or null if the token is not valid notation
+   */
+  parseToken(token) {
+    const winMarker = token.endsWith('#');
+    const body = winMarker ? token.slice(0, -1) : token;
+
+    if (body === this.PIE_SWAP || body === this.PIE_KEEP) {
+      return { token, type: 'pie', swap: body === this.PIE_SWAP, winMarker };
+    }
+
+    const drop = /^(@?)([a-z]\d+)$/.exec(body);
+    if (drop) {
+      const index = this.cellToIndex(drop[2]);
+      if (index === null) {
+        return null;
+      }
+      return { token, type: drop[1] ? 'replacement' : 'placement', index, winMarker };
+    }
+
+    const move = /^([a-z]\d+)([-x])([a-z]\d+)(=K)?$/.exec(body);
+    if (move) {
+      const from = this.cellToIndex(move[1]);
+      const to = this.cellToIndex(move[3]);
+      if (from === null || to === null) {
+        return null;
+      }
+      return {
+        token,
+        type: move[2] === 'x' ? 'capture' : 'move',
+        from,
+        to,
+        promoted: move[4] === '=K',
+        winMarker
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Read the engine config from record headers
+   * Returns { success: true, config } or { success: false, message }
+   */
+  parseConfig(headers) {
+    const config = {};
+
+    for (const [header, key] of Object.entries(this.CONFIG_HEADERS)) {
+      const value = headers[header];
+      if (value === undefined) {
+        continue;
+      }
+
+      if (this.NUMERIC_CONFIG[key] !== undefined) {
+        const count = Number(value);
+        if (!Number.isInteger(count) || count < this.NUMERIC_CONFIG[key]) {
+          return { success: false, message: `Invalid ${header} header: ${value}` };
+        }
+        config[key] = count;
+      } else if (/^(on|true)$/i.test(value)) {
+        config[key] = true;
+      } else if (/^(off|false)$/i.test(value)) {
+        config[key] = false;
+      } else {
+        return { success: false, message: `${header} header must be "On" or "Off", got "${value}"` };
+      }
+    }
+
+    // 1.2 records predate the draw rules
+    if (headers.Version === this.PRE_DRAW_VERSION) {
+      for (const key of ['repetitions', 'moveLimit']) {
+        if (config[key] === undefined) {
+          config[key] = 0;
+        }
+      }
+    }
+
+    return { success: true, config };
+  }
+
+  /**
+   * Parse a record and replay it through the engine's action methods
+   * Returns { success: true, engine, headers } or
+   *         { success: false, message, ply, token } where ply is 1-based
+   *         (ply 0 means the headers were rejected)
+   */
+  importRecord(text) {
+    const parsed = this.parseRecord(text);
+    if (!parsed.success) {
+      return parsed;
+    }
+
+    const { headers, plies } = parsed;
+    const configResult = this.parseConfig(headers);
+    if (!configResult.success) {
+      return { ...configResult, ply: 0, token: null };
+    }
+
+    let engine;
+    try {
+      engine = this.createEngine(configResult.config);
+    } catch (error) {
+      return { success: false, message: error.message, ply: 0, token: null };
+    }
+
+    if (headers.Version !== undefined && headers.Version !== engine.VERSION &&
+        headers.Version !== this.PRE_DRAW_VERSION) {
+      return {
+        success: false,
+        message: `Record is for version ${headers.Version}, engine is ${engine.VERSION}`,
+        ply: 0,
+        token: null
+      };
+    }
+
+    for (let i = 0; i < plies.length; i++) {
+      const ply = plies[i];
+      const fail = message => ({ success: false, message: `Ply ${i + 1} (${ply.token}): ${message}`, ply: i + 1, token: ply.token });
+
+      if (engine.gameOver) {
+        return fail('game is already over');
+      }
+
+      const awaitingPie = engine.phase === engine.PHASE_PIE_DECISION;
+      if (awaitingPie !== (ply.type === 'pie')) {
+        return fail(awaitingPie ? `expected "${this.PIE_SWAP}" or "${this.PIE_KEEP}"` : 'no pie decision is pending');
+      }
+
+      const result = this.applyPly(engine, ply);
+      if (!result.success) {
+        return fail(result.message);
+      }
+
+      if (ply.type === 'move' || ply.type === 'capture') {
+        const entry = engine.moveHistory[engine.moveHistory.length - 1];
+        if (entry.type !== ply.type) {
+          return fail(ply.type === 'capture' ? 'this is a step, not a capture' : 'this is a capture, write it with "x"');
+        }
+        if (entry.promoted !== ply.promoted) {
+          return fail(entry.promoted ? 'piece promotes, but "=K" is missing' : 'marked "=K", but the piece does not promote');
+        }
+      }
+
+      if (ply.winMarker && !(result.gameOver && result.winner)) {
+        return fail('marked as winning, but the game continues');
+      }
+    }
+
+    // A draw by agreement is not an action: the players agreed after the last one
+    if (headers.DrawReason === engine.DRAW_AGREEMENT && !engine.gameOver) {
+      engine.offerDraw();
+      engine.acceptDraw();
+    }
+
+    if (headers.Result !== undefined && headers.Result !== this.getResult(engine)) {
+      return {
+        success: false,
+        message: `Result header "${headers.Result}" does not match the replayed result "${this.getResult(engine)}"`,
+        ply: plies.length,
+        token: null
+      };
+    }
+
+    return { success: true, engine, headers };
+  }
+
+  /**
+   * Apply a parsed ply to an engine
+   * Returns the engine's result object
+   */
+  applyPly(engine, ply) {
+    switch (ply.type) {
+      case 'placement':
+        return engine.placePiece(ply.index);
+      case 'pie':
+        return ply.swap ? engine.invokePieRule() : engine.declinePieRule();
+      case 'move':
+      case 'capture':
+        return engine.movePiece(ply.from, ply.to);
+      case 'replacement':
+        return engine.replaceCapturedPiece(ply.index);
+      default:
+        return { success: false, message: "Unknown action" };
+    }
+  }
+
+  /**
+   * Rebuild the position after every action of an engine's game (for replay)
+   * Returns one step per action, preceded by the empty starting position (ply 0):
+   *   { ply, token, type, player, placed, from, to, captured, capturedPlayer, promoted, state }
+   * - placed: cell of a placement, re-placement or the piece taken by a pie swap
+   * - from/to: cells of a step or jump; captured: the jumped cell
+   * - state: the engine's getState() after the action
+   * Fields that do not apply to the action are null (promoted is false)
+   */
+  buildTimeline(engine) {
+    const replay = this.createEngine(engine.config);
+    const emptyStep = {
+      token: null,
+      type: null,
+      player: null,
+      placed: null,
+      from: null,
+      to: null,
+      captured: null,
+      capturedPlayer: null,
+      promoted: false
+    };
+
+    const steps = [{ ply: 0, ...emptyStep, state: replay.getState() }];
+
+    this.getMoveTokens(engine).forEach((token, i) => {
+      const ply = this.parseToken(token);
+      const player = replay.currentPlayer;
+      const result = this.applyPly(replay, ply);
+      if (!result.success) {
+        throw new Error(`Ply ${i + 1} (${token}) cannot be replayed: ${result.message}`);
+      }
+
+      const step = {
+        ply: i + 1,
+        ...emptyStep,
+        token: result.gameOver && result.winner ? `${token}#` : token,
+        type: ply.type,
+        player
+      };
+
+      const entry = replay.moveHistory[replay.moveHistory.length - 1];
+      if (ply.type === 'placement' || ply.type === 'replacement') {
+        step.placed = ply.index;
+      } else if (ply.type === 'pie') {
+        step.placed = ply.swap ? replay.moveHistory[0].index : null;
+      } else {
+        step.from = ply.from;
+        step.to = ply.to;
+        step.promoted = entry.promoted;
+        if (entry.type === 'capture') {
+          step.captured = entry.via;
+          step.capturedPlayer = entry.capturedPiece;
+        }
+      }
+
+      step.state = replay.getState();
+      steps.push(step);
+    });
+
+    return steps;
+  }
+
+  /**
+   * Create an InfiltrationEngine in both browser and Node.js environments
+   */
+  createEngine(config) {
+    const Engine = typeof InfiltrationEngine !== 'undefined' ? InfiltrationEngine : require('./infiltration-engine.js');
+    return new Engine(config);
+  }
+}
+
+// Export for use in browser and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = InfiltrationNotation;
+}
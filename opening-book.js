@@ -0,0 +1,238 @@
+/**
+ * Opening Book for the Checkerboard Tic-Tac-Toe CPU
+ *
+ * Maps opening positions to weighted moves. Positions are keyed by
+ * CPUPlayer.getBookKey(): the coin toss winner plus the Zobrist hash of the
+ * position (pieces with their FIFO age, activeHalf and side to move). The hash
+ * keys depend on the FIFO cap and the board, and the moves on the rules, so a
+ * book only applies to games with the cap, board geometry and rule variant it
+ * was generated for (see appliesTo).
+ *
+ * Books are generated offline by self-play (generate(), or `node cli.js book`)
+ * and stored as JSON:
+ *   {
+ *     version: 1, maxOnBoard, boardSize, winLength, topHalfRows, rules, plies, games, depth, seed,
+ *     positions: { key: [[move, weight], ...] }  heaviest move first
+ *   }
+ * Books without boardSize, winLength or topHalfRows are for the 8x8 board, 4 in
+ * a row, and books without rules for GameEngine's DEFAULT_RULES.
+ *
+ * The CPU picks a book move at random in proportion to its weight, so games
+ * vary while staying reproducible for the CPU's seed; out of book it searches.
+ */
+
+class OpeningBook {
+  /**
+   * @param {Object} data - Parsed book JSON
+   */
+  constructor(data) {
+    this.VERSION = 1;
+
+    if (!data || data.version !== this.VERSION) {
+      throw new Error(`Unsupported opening book version ${data ? data.version : undefined} (expected ${this.VERSION})`);
+    }
+
+    this.data = data;
+    this.maxOnBoard = data.maxOnBoard;
+    this.geometry = {
+      boardSize: data.boardSize || 8,
+      winLength: data.winLength || 4,
+      topHalfRows: data.topHalfRows || 4
+    };
+    this.rules = data.rules || {}; // Overrides of the engine's DEFAULT_RULES
+    this.positions = data.positions || {};
+  }
+
+  /**
+   * Whether the book was generated for an engine's FIFO cap, board geometry and rules
+   */
+  appliesTo(engine) {
+    const rules = { ...engine.DEFAULT_RULES, ...this.rules };
+    return this.maxOnBoard === engine.MAX_ON_BOARD_PER_PLAYER &&
+      this.geometry.boardSize === engine.BOARD_SIZE &&
+      this.geometry.winLength === engine.WIN_LENGTH &&
+      this.geometry.topHalfRows === engine.TOP_HALF_ROWS &&
+      Object.keys(engine.rules).every(rule => rules[rule] === engine.rules[rule]);
+  }
+
+  /**
+   * Weighted moves for a position key: [[move, weight], ...], empty when out of book
+   */
+  lookup(key) {
+    return this.positions[key] || [];
+  }
+
+  /**
+   * Pick one of the legal book moves for a position, in proportion to weight
+   * @param {string} key - CPUPlayer.getBookKey() of the position
+   * @param {number[]} legalMoves - Moves the book move must be one of
+   * @param {Function} rng - Returns floats in [0, 1)
+   * Returns a move, or null when out of book
+   */
+  chooseMove(key, legalMoves, rng) {
+    const entries = this.lookup(key).filter(([move, weight]) => weight > 0 && legalMoves.includes(move));
+    if (entries.length === 0) {
+      return null;
+    }
+
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    let pick = rng() * total;
+    for (const [move, weight] of entries) {
+      pick -= weight;
+      if (pick < 0) {
+        return move;
+      }
+    }
+    return entries[entries.length - 1][0];
+  }
+
+  /**
+   * Book data for JSON.stringify
+   */
+  toJSON() {
+    return this.data;
+  }
+
+  /**
+   * Build book data by self-play
+   * For the first `plies` plies of each game a Hard CPU analyses the position
+   * and one of its top moves within `margin` of the best is played at random;
+   * Medium plays the game out. Each book move weighs 1 per game it was played
+   * in, plus 1 per game its player went on to win.
+   * @param {Object} options
+   * @param {number} options.games - Self-play games, coin toss alternating (default 100)
+   * @param {number} options.plies - Plies of each game that go into the book (default 4)
+   * @param {number} options.depth - Analysis depth of book moves (default 3)
+   * @param {number} options.candidates - Top moves considered per position (default 3)
+   * @param {number} options.margin - Score below the best a book move may be (default 25)
+   * @param {number} options.seed - Seed for the random choices (default 1)
+   * @param {number} options.maxOnBoard - FIFO cap (default 8)
+   * @param {number} options.boardSize - Board geometry, as for GameEngine (default 8x8)
+   * @param {number} options.winLength - (default 4)
+   * @param {number} options.topHalfRows - (default half the board)
+   * @param {string|Object} options.rules - Rule variant, as for GameEngine (default the standard rules)
+   * @param {number} options.maxPlies - Plies before a game is abandoned (default 200)
+   * @param {Function} options.onGame - Called with (gameNumber, winner) after each game
+   * Returns book data (pass to new OpeningBook, or save as JSON)
+   */
+  static generate(options = {}) {
+    const Engine = typeof GameEngine !== 'undefined' ? GameEngine : require('./game-engine.js');
+    const Player = typeof CPUPlayer !== 'undefined' ? CPUPlayer : require('./cpu-player.js');
+
+    const games = options.games || 100;
+    const plies = options.plies || 4;
+    const depth = options.depth || 3;
+    const candidates = options.candidates || 3;
+    const margin = options.margin !== undefined ? options.margin : 25;
+    const seed = options.seed !== undefined ? options.seed : 1;
+    const maxOnBoard = options.maxOnBoard || 8;
+    const setup = {
+      boardSize: options.boardSize,
+      winLength: options.winLength,
+      topHalfRows: options.topHalfRows,
+      rules: options.rules
+    };
+    const maxPlies = options.maxPlies || 200;
+    const rng = Player.createRng(seed);
+    const weights = {}; // key -> { move: weight }
+
+    for (let g = 0; g < games; g++) {
+      const engine = new Engine({ maxOnBoard, ...setup });
+      engine.reset(g % 2 === 0 ? 'X' : 'O');
+      const analyst = new Player(engine, 'hard', { book: null });
+      const finisher = new Player(engine, 'medium', { book: null });
+      const line = [];
+
+      while (!engine.gameOver && engine.plyCount < maxPlies && engine.getValidMoves().length > 0) {
+        let move;
+        if (engine.plyCount < plies) {
+          const { moves } = analyst.analysePosition({ count: candidates, depth });
+          const good = moves.filter(entry => entry.score >= moves[0].score - margin);
+          move = good[Math.floor(rng() * good.length)].move;
+          line.push({ key: analyst.getBookKey(engine), player: engine.currentPlayer, move });
+        } else {
+          move = finisher.getBestMove();
+        }
+        engine.applyMove(move);
+      }
+
+      for (const { key, player, move } of line) {
+        const moves = weights[key] || (weights[key] = {});
+        moves[move] = (moves[move] || 0) + 1 + (engine.winner === player ? 1 : 0);
+      }
+
+      if (options.onGame) {
+        options.onGame(g + 1, engine.winner);
+      }
+    }
+
+    const positions = {};
+    for (const key of Object.keys(weights).sort()) {
+      positions[key] = Object.keys(weights[key])
+        .map(move => [Number(move), weights[key][move]])
+        .sort((a, b) => b[1] - a[1] || a[0] - b[0]);
+    }
+
+    const { boardSize, winLength, topHalfRows, rules } = new Engine({ maxOnBoard, ...setup }).getConfig();
+    return { version: 1, maxOnBoard, boardSize, winLength, topHalfRows, rules, plies, games, depth, seed, positions };
+  }
+
+  /**
+   * JSON text for book data with one position per line, so regenerated books diff well
+   */
+  static format(data) {
+    const { positions, ...headers } = data;
+    const lines = Object.keys(positions).map(key => `    ${JSON.stringify(key)}: ${JSON.stringify(positions[key])}`);
+    const header = JSON.stringify(headers).slice(1, -1);
+    return `{${header},\n  "positions": {\n${lines.join(',\n')}\n  }\n}\n`;
+  }
+
+  /**
+   * Read a book file (Node.js); null if the file does not exist
+   */
+  static load(path) {
+    const fs = require('fs');
+    if (!fs.existsSync(path)) {
+      return null;
+    }
+    return new OpeningBook(JSON.parse(fs.readFileSync(path, 'utf8')));
+  }
+
+  /**
+   * Fetch the default book in a browser or worker and make it the default
+   * Resolves with the book, or null when it cannot be fetched (e.g. from file://)
+   */
+  static fetchDefault(url = 'opening-book.json') {
+    if (typeof fetch === 'undefined') {
+      return Promise.resolve(null);
+    }
+
+    return fetch(url)
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => (data ? new OpeningBook(data) : null))
+      .catch(() => null)
+      .then(book => {
+        OpeningBook.defaultBook = book;
+        return book;
+      });
+  }
+
+  /**
+   * Book CPUPlayer uses unless given one: opening-book.json next to this file
+   * in Node.js, or whatever fetchDefault() loaded in a browser (null if nothing)
+   */
+  static getDefault() {
+    if (OpeningBook.defaultBook === undefined) {
+      OpeningBook.defaultBook = null;
+      if (typeof require !== 'undefined' && typeof __dirname !== 'undefined') {
+        OpeningBook.defaultBook = OpeningBook.load(require('path').join(__dirname, 'opening-book.json'));
+      }
+    }
+    return OpeningBook.defaultBook;
+  }
+}
+
+// Export for use in both browser and Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OpeningBook;
+}
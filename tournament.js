@@ -0,0 +1,511 @@
+/**
+ * CPU-vs-CPU Tournament Runner for Checkerboard Tic-Tac-Toe
+ *
+ * Plays a round robin of GameEngine games between CPUPlayer configurations
+ * and reports:
+ * - Win/draw/loss table per participant and per pairing
+ * - Elo estimates with 95% confidence intervals
+ * - Average game length (plies) and FIFO removal counts
+ *
+ * A participant is a CPUPlayer configuration:
+ *   { name, difficulty, candidateCount, maxTimeMs, maxDepth, weights, iterations, seed }
+ * where iterations and seed configure the 'expert' (MCTS) difficulty
+ *
+ * Games are reproducible from the seed: the coin toss (GameEngine's injectable
+ * rng) and the random opening plies both come from one seeded generator.
+ * The CPU itself is deterministic (Expert rollouts use the participant's own
+ * seed), so the opening plies are what make repeated games of a pairing differ.
+ * Searches cut short by maxTimeMs depend on machine speed, so keep it generous
+ * when results must be reproducible.
+ *
+ * Games the engine draws are reported with its drawReason (repetition under
+ * the default rules); games still going at maxPlies are scored as draws with
+ * reason 'max-plies'.
+ */
+
+class Tournament {
+  /**
+   * @param {Object} config
+   * @param {Array} config.participants - CPUPlayer configurations (at least 2)
+   * @param {number} config.gamesPerPairing - Games per pair, sides alternating (default 10)
+   * @param {number} config.seed - Seed for coin tosses and opening plies (default 1)
+   * @param {number} config.openingPlies - Random plies before the CPUs take over (default 2)
+   * @param {number} config.maxPlies - Plies before a game is adjudicated a draw (default 200)
+   * @param {number} config.maxOnBoard - FIFO cap (default 8)
+   * @param {Function} config.onGame - Called with each finished game record
+   */
+  constructor(config = {}) {
+    this.RESULT_X = "X";
+    this.RESULT_O = "O";
+    this.RESULT_DRAW = "Draw";
+    this.REASON_MAX_PLIES = 'max-plies'; // Still going at maxPlies; other draws use GameEngine's drawReason
+    this.BASE_RATING = 1500;
+    this.PRIOR_DRAWS = 1; // Virtual draw per pairing keeps ratings finite after a clean sweep
+    this.Z_95 = 1.96;
+
+    const participants = config.participants || [];
+    if (participants.length < 2) {
+      throw new Error("A tournament needs at least two participants");
+    }
+
+    this.participants = participants.map((participant, i) => ({
+      name: participant.name || `${participant.difficulty || 'medium'}-${i + 1}`,
+      difficulty: participant.difficulty || 'medium',
+      candidateCount: participant.candidateCount,
+      maxTimeMs: participant.maxTimeMs,
+      maxDepth: participant.maxDepth,
+      weights: participant.weights,
+      iterations: participant.iterations,
+      seed: participant.seed
+    }));
+
+    const names = new Set(this.participants.map(participant => participant.name));
+    if (names.size !== this.participants.length) {
+      throw new Error("Participant names must be unique");
+    }
+
+    this.gamesPerPairing = config.gamesPerPairing || 10;
+    this.seed = config.seed !== undefined ? config.seed : 1;
+    this.openingPlies = config.openingPlies !== undefined ? config.openingPlies : 2;
+    this.maxPlies = config.maxPlies || 200;
+    this.maxOnBoard = config.maxOnBoard || 8;
+    this.onGame = config.onGame || null;
+  }
+
+  /**
+   * Play every pairing and build the report
+   */
+  run() {
+    const Player = typeof CPUPlayer !== 'undefined' ? CPUPlayer : require('./cpu-player.js');
+    const rng = Player.createRng(this.seed);
+    const games = [];
+
+    for (let i = 0; i < this.participants.length; i++) {
+      for (let j = i + 1; j < this.participants.length; j++) {
+        for (let g = 0; g < this.gamesPerPairing; g++) {
+          // Alternate who plays X within each pairing
+          const [x, o] = g % 2 === 0 ? [i, j] : [j, i];
+          const game = this.playGame(this.participants[x], this.participants[o], rng);
+          game.round = games.length + 1;
+          games.push(game);
+
+          if (this.onGame) {
+            this.onGame(game);
+          }
+        }
+      }
+    }
+
+    return this.buildReport(games);
+  }
+
+  /**
+   * Play one game between two participants
+   * Returns { x, o, startingPlayer, result, reason, plies, fifoRemovals, moves }
+   */
+  playGame(playerX, playerO, rng) {
+    const engine = this.createEngine({
+      maxOnBoard: this.maxOnBoard,
+      rng: () => (rng() < 0.5 ? 0 : 1)
+    });
+    const cpus = {
+      X: this.createCPU(engine, playerX),
+      O: this.createCPU(engine, playerO)
+    };
+    const fifoRemovals = { X: 0, O: 0 };
+    const moves = [];
+
+    while (!engine.gameOver && engine.plyCount < this.maxPlies) {
+      const legalMoves = engine.getValidMoves();
+      if (legalMoves.length === 0) {
+        break;
+      }
+
+      let move;
+      if (engine.plyCount < this.openingPlies) {
+        move = legalMoves[Math.floor(rng() * legalMoves.length)];
+      } else {
+        move = cpus[engine.currentPlayer].getBestMove();
+        if (!legalMoves.includes(move)) {
+          throw new Error(`Ply ${engine.plyCount + 1}: ${engine.currentPlayer}'s CPU chose illegal move ${move}`);
+        }
+      }
+
+      const player = engine.currentPlayer;
+      const result = engine.applyMove(move);
+      if (!result.success) {
+        throw new Error(`Ply ${engine.plyCount + 1}: ${result.message}`);
+      }
+      if (result.fifoRemoved !== null) {
+        fifoRemovals[player]++;
+      }
+      moves.push(move);
+    }
+
+    let result = this.RESULT_DRAW;
+    let reason = this.REASON_MAX_PLIES;
+    if (engine.gameOver) {
+      result = engine.winner || this.RESULT_DRAW;
+      reason = engine.winner ? `${engine.WIN_LENGTH} in a row` : engine.drawReason;
+    } else if (engine.plyCount < this.maxPlies) {
+      reason = engine.DRAW_NO_MOVES;
+    }
+
+    return {
+      x: playerX.name,
+      o: playerO.name,
+      startingPlayer: engine.startingPlayer,
+      result,
+      reason,
+      plies: engine.plyCount,
+      fifoRemovals,
+      moves
+    };
+  }
+
+  /**
+   * Summarize finished games
+   * Returns { config, standings, pairings, games, averageLength, averageFifoRemovals }
+   */
+  buildReport(games) {
+    const stats = {};
+    for (const participant of this.participants) {
+      stats[participant.name] = {
+        name: participant.name,
+        games: 0,
+        wins: 0,
+        draws: 0,
+        losses: 0,
+        plies: 0,
+        fifoRemovals: 0
+      };
+    }
+
+    // Pairings are listed in participant order
+    const order = this.participants.map(participant => participant.name);
+    const pairings = {};
+
+    for (const game of games) {
+      const [a, b] = [game.x, game.o].sort((p, q) => order.indexOf(p) - order.indexOf(q));
+      const key = JSON.stringify([a, b]);
+      if (!pairings[key]) {
+        pairings[key] = { a, b, games: 0, aWins: 0, draws: 0, bWins: 0 };
+      }
+      const pairing = pairings[key];
+      pairing.games++;
+
+      for (const [side, name] of [['X', game.x], ['O', game.o]]) {
+        const entry = stats[name];
+        entry.games++;
+        entry.plies += game.plies;
+        entry.fifoRemovals += game.fifoRemovals[side];
+
+        if (game.result === this.RESULT_DRAW) {
+          entry.draws++;
+        } else if (game.result === side) {
+          entry.wins++;
+        } else {
+          entry.losses++;
+        }
+      }
+
+      if (game.result === this.RESULT_DRAW) {
+        pairing.draws++;
+      } else {
+        const winner = game.result === this.RESULT_X ? game.x : game.o;
+        if (winner === pairing.a) {
+          pairing.aWins++;
+        } else {
+          pairing.bWins++;
+        }
+      }
+    }
+
+    const ratings = this.estimateRatings(games);
+    const intervals = this.confidenceIntervals(games);
+    const standings = this.participants.map(participant => {
+      const entry = stats[participant.name];
+      const score = entry.games > 0 ? (entry.wins + entry.draws / 2) / entry.games : 0;
+      const interval = intervals[participant.name];
+      const elo = ratings[participant.name];
+
+      return {
+        name: entry.name,
+        difficulty: participant.difficulty,
+        games: entry.games,
+        wins: entry.wins,
+        draws: entry.draws,
+        losses: entry.losses,
+        score: Math.round(score * 1000) / 1000,
+        elo: Math.round(elo),
+        eloLow: interval ? Math.round(elo + interval.low) : null,
+        eloHigh: interval ? Math.round(elo + interval.high) : null,
+        averageLength: entry.games > 0 ? Math.round((entry.plies / entry.games) * 10) / 10 : 0,
+        fifoRemovals: entry.fifoRemovals
+      };
+    }).sort((a, b) => b.elo - a.elo);
+
+    const totalPlies = games.reduce((sum, game) => sum + game.plies, 0);
+    const totalFifo = games.reduce((sum, game) => sum + game.fifoRemovals.X + game.fifoRemovals.O, 0);
+
+    return {
+      config: {
+        participants: this.participants,
+        gamesPerPairing: this.gamesPerPairing,
+        seed: this.seed,
+        openingPlies: this.openingPlies,
+        maxPlies: this.maxPlies,
+        maxOnBoard: this.maxOnBoard
+      },
+      standings,
+      pairings: Object.values(pairings),
+      games,
+      averageLength: games.length > 0 ? Math.round((totalPlies / games.length) * 10) / 10 : 0,
+      averageFifoRemovals: games.length > 0 ? Math.round((totalFifo / games.length) * 10) / 10 : 0
+    };
+  }
+
+  /**
+   * Maximum-likelihood Elo ratings (Bradley-Terry, draws count half)
+   * Ratings average BASE_RATING; PRIOR_DRAWS virtual draws are added per pairing
+   * Returns { name: rating }
+   */
+  estimateRatings(games) {
+    const { names, gamma } = this.fitRatings(games);
+    const ratings = {};
+    names.forEach((name, i) => {
+      ratings[name] = this.BASE_RATING + 400 * Math.log10(gamma[i]);
+    });
+    return ratings;
+  }
+
+  /**
+   * Fit the Bradley-Terry model behind estimateRatings
+   * Returns { names, played, gamma } where played counts the games between each
+   * pair (virtual draws included) and gamma = 10^((rating - BASE_RATING) / 400)
+   */
+  fitRatings(games) {
+    const names = this.participants.map(participant => participant.name);
+    const index = {};
+    names.forEach((name, i) => { index[name] = i; });
+
+    const n = names.length;
+    const played = Array.from({ length: n }, () => Array(n).fill(0));
+    const scored = Array(n).fill(0);
+
+    for (const game of games) {
+      const x = index[game.x];
+      const o = index[game.o];
+      played[x][o]++;
+      played[o][x]++;
+      if (game.result === this.RESULT_DRAW) {
+        scored[x] += 0.5;
+        scored[o] += 0.5;
+      } else {
+        scored[game.result === this.RESULT_X ? x : o] += 1;
+      }
+    }
+
+    // Virtual draws between every pair that met
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        if (i !== j && played[i][j] > 0) {
+          played[i][j] += this.PRIOR_DRAWS;
+          scored[i] += this.PRIOR_DRAWS / 2;
+        }
+      }
+    }
+
+    // Zermelo's iteration on strengths (gamma = 10^(rating / 400))
+    let gamma = Array(n).fill(1);
+    for (let iteration = 0; iteration < 1000; iteration++) {
+      const next = gamma.map((g, i) => {
+        let denominator = 0;
+        for (let j = 0; j < n; j++) {
+          if (played[i][j] > 0) {
+            denominator += played[i][j] / (g + gamma[j]);
+          }
+        }
+        return denominator > 0 ? scored[i] / denominator : g;
+      });
+
+      // Normalize so the geometric mean stays at 1 (average rating = BASE_RATING)
+      const logMean = next.reduce((sum, g) => sum + Math.log(g), 0) / n;
+      const normalized = next.map(g => g / Math.exp(logMean));
+      const change = Math.max(...normalized.map((g, i) => Math.abs(g - gamma[i])));
+      gamma = normalized;
+
+      if (change < 1e-9) {
+        break;
+      }
+    }
+
+    return { names, played, gamma };
+  }
+
+  /**
+   * 95% confidence intervals of the ratings, as offsets from them
+   * From the Fisher information of the likelihood estimateRatings maximises
+   * (virtual draws included), with the ratings held to their average
+   * Returns { name: { low, high } }, null for participants who have not played
+   */
+  confidenceIntervals(games) {
+    const { names, played, gamma } = this.fitRatings(games);
+    const active = names.map((name, i) => i).filter(i => played[i].some(count => count > 0));
+    const n = active.length;
+
+    // Information on log strengths, plus 1/n everywhere to pin their average
+    const information = active.map(i => active.map(j => {
+      if (i !== j) {
+        return 1 / n - played[i][j] * gamma[i] * gamma[j] / (gamma[i] + gamma[j]) ** 2;
+      }
+      return 1 / n + active.reduce((sum, k) => sum + played[i][k] * gamma[i] * gamma[k] / (gamma[i] + gamma[k]) ** 2, 0);
+    }));
+    const covariance = this.invertMatrix(information);
+
+    const intervals = {};
+    names.forEach(name => { intervals[name] = null; });
+    if (covariance) {
+      active.forEach((i, row) => {
+        const variance = Math.max(covariance[row][row] - 1 / n, 0);
+        const margin = this.Z_95 * (400 / Math.LN10) * Math.sqrt(variance);
+        intervals[names[i]] = { low: -margin, high: margin };
+      });
+    }
+    return intervals;
+  }
+
+  /**
+   * Invert a square matrix (Gauss-Jordan elimination with partial pivoting)
+   * Returns the inverse, or null if the matrix is singular
+   */
+  invertMatrix(matrix) {
+    const n = matrix.length;
+    const rows = matrix.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+
+    for (let column = 0; column < n; column++) {
+      let pivot = column;
+      for (let row = column + 1; row < n; row++) {
+        if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) {
+          pivot = row;
+        }
+      }
+      if (Math.abs(rows[pivot][column]) < 1e-12) {
+        return null;
+      }
+      [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+
+      const divisor = rows[column][column];
+      rows[column] = rows[column].map(value => value / divisor);
+      for (let row = 0; row < n; row++) {
+        if (row !== column) {
+          const factor = rows[row][column];
+          rows[row] = rows[row].map((value, j) => value - factor * rows[column][j]);
+        }
+      }
+    }
+
+    return rows.map(row => row.slice(n));
+  }
+
+  /**
+   * Serialize a report as JSON
+   */
+  toJSON(report) {
+    return JSON.stringify(report, null, 2);
+  }
+
+  /**
+   * Serialize one table of a report as CSV
+   * @param {Object} report - Result of run()
+   * @param {string} table - 'standings', 'pairings' or 'games'
+   */
+  toCSV(report, table = 'standings') {
+    const columns = {
+      standings: ['name', 'difficulty', 'games', 'wins', 'draws', 'losses', 'score', 'elo', 'eloLow', 'eloHigh', 'averageLength', 'fifoRemovals'],
+      pairings: ['a', 'b', 'games', 'aWins', 'draws', 'bWins'],
+      games: ['round', 'x', 'o', 'startingPlayer', 'result', 'reason', 'plies', 'fifoRemovalsX', 'fifoRemovalsO']
+    }[table];
+
+    if (!columns) {
+      throw new Error(`Unknown table "${table}"`);
+    }
+
+    const rows = table === 'games'
+      ? report.games.map(game => ({ ...game, fifoRemovalsX: game.fifoRemovals.X, fifoRemovalsO: game.fifoRemovals.O }))
+      : report[table];
+
+    const escape = value => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [columns.join(','), ...rows.map(row => columns.map(column => escape(row[column])).join(','))].join('\n') + '\n';
+  }
+
+  /**
+   * Format a report as plain-text tables
+   */
+  formatReport(report) {
+    const formatInterval = row => (row.eloLow === null ? '' : `[${row.eloLow}, ${row.eloHigh}]`);
+
+    const nameWidth = Math.max(4, ...report.standings.map(row => row.name.length));
+    const lines = [
+      `${'Name'.padEnd(nameWidth)}  Games    W    D    L  Score   Elo  95% interval      Plies  FIFO`
+    ];
+
+    for (const row of report.standings) {
+      lines.push([
+        row.name.padEnd(nameWidth),
+        String(row.games).padStart(5),
+        String(row.wins).padStart(4),
+        String(row.draws).padStart(4),
+        String(row.losses).padStart(4),
+        row.score.toFixed(3).padStart(6),
+        String(row.elo).padStart(5),
+        formatInterval(row).padEnd(16),
+        row.averageLength.toFixed(1).padStart(6),
+        String(row.fifoRemovals).padStart(5)
+      ].join('  '));
+    }
+
+    lines.push('');
+    for (const pairing of report.pairings) {
+      lines.push(`${pairing.a} vs ${pairing.b}: +${pairing.aWins} =${pairing.draws} -${pairing.bWins}`);
+    }
+
+    lines.push('');
+    lines.push(`${report.games.length} games, average length ${report.averageLength} plies, ` +
+      `average FIFO removals ${report.averageFifoRemovals} per game (seed ${report.config.seed})`);
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Create a GameEngine in both browser and Node.js environments
+   */
+  createEngine(config) {
+    const Engine = typeof GameEngine !== 'undefined' ? GameEngine : require('./game-engine.js');
+    return new Engine(config);
+  }
+
+  /**
+   * Create a CPUPlayer for a participant in both browser and Node.js environments
+   */
+  createCPU(engine, participant) {
+    const Player = typeof CPUPlayer !== 'undefined' ? CPUPlayer : require('./cpu-player.js');
+    return new Player(engine, participant.difficulty, {
+      candidateCount: participant.candidateCount,
+      maxTimeMs: participant.maxTimeMs,
+      maxDepth: participant.maxDepth,
+      weights: participant.weights,
+      iterations: participant.iterations,
+      seed: participant.seed
+    });
+  }
+}
+
+// Export for use in both browser and Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Tournament;
+}
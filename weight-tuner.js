@@ -0,0 +1,311 @@
+/**
+ * Evaluation Weight Tuner for the Checkerboard Tic-Tac-Toe CPU
+ *
+ * Tunes the CPUPlayer weights named in `parameters` (by default the threat
+ * scores four/three/two/one and the positional factor influence) by local
+ * search: each round tries scaling every weight up and down by (1 + step) and
+ * keeps any change that helps, halving the step after a round without one.
+ * A change helps when:
+ * - Texel tuning: it lowers the mean squared error between game results
+ *   (1 X win, 0.5 draw, 0 O win) and the win chance the static evaluation
+ *   gives each position of a corpus of games
+ * - Self-play tuning: a CPU with it scores more than half the points in a
+ *   match against a CPU with the current weights
+ *
+ * Games in a corpus are { config, startingPlayer, moves, result } (Tournament
+ * game records, or fromEngine() for recorded games), replayed in an engine with
+ * config (default: standard games with the tuner's maxOnBoard) and evaluated by
+ * a CPU for that kind of game. Weight sets are saved in a
+ * weights file (see CPUPlayer.getWeightSets) and loaded by name:
+ * new CPUPlayer(engine, 'hard', { weights: 'tuned' }).
+ */
+
+class WeightTuner {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.parameters - Weights to tune (default PARAMETERS)
+   * @param {Object} options.weights - Starting weights (default CPUPlayer's DEFAULT_WEIGHTS)
+   * @param {number} options.iterations - Rounds of local search (default 10)
+   * @param {number} options.step - Starting scale step (default 0.5)
+   * @param {number} options.minStep - Search stops once the step falls below this (default 0.05)
+   * @param {number} options.maxOnBoard - FIFO cap (default 8)
+   * @param {string} options.difficulty - Self-play: difficulty of both CPUs (default 'medium')
+   * @param {number} options.games - Self-play: games per match (default 20)
+   * @param {number} options.seed - Self-play: seed for coin tosses and opening plies (default 1)
+   * @param {Function} options.onIteration - Called with { iteration, weights, value, step } after each
+   *   round, value being the error (Texel) or the score of the last change kept (self-play)
+   */
+  constructor(options = {}) {
+    this.PARAMETERS = ['four', 'three', 'two', 'one', 'influence'];
+    this.SCALES = [25, 50, 100, 200, 400, 800, 1600, 3200]; // Texel: candidate evaluation scales
+
+    this.parameters = options.parameters || this.PARAMETERS;
+    this.difficulty = options.difficulty || 'medium';
+    this.maxOnBoard = options.maxOnBoard || 8;
+    this.weights = {
+      ...this.createCPU(this.createEngine({ maxOnBoard: this.maxOnBoard })).DEFAULT_WEIGHTS,
+      ...(options.weights || {})
+    };
+    this.iterations = options.iterations || 10;
+    this.step = options.step || 0.5;
+    this.minStep = options.minStep || 0.05;
+    this.games = options.games || 20;
+    this.seed = options.seed !== undefined ? options.seed : 1;
+    this.onIteration = options.onIteration || null;
+
+    for (const name of this.parameters) {
+      if (typeof this.weights[name] !== 'number') {
+        throw new Error(`Unknown weight "${name}"`);
+      }
+    }
+  }
+
+  /**
+   * Corpus game from an engine (e.g. an imported record)
+   * Returns { config, startingPlayer, moves, result } where config is engine.getConfig(),
+   * moves are cell indexes or engine.PASS and result is "X", "O", "Draw" or null (unfinished)
+   */
+  static fromEngine(engine) {
+    return {
+      config: engine.getConfig(),
+      startingPlayer: engine.startingPlayer,
+      moves: engine.moveHistory
+        .filter(entry => entry.type === 'placement' || entry.type === 'pass')
+        .map(entry => entry.index),
+      result: engine.gameOver ? (engine.winner || 'Draw') : null
+    };
+  }
+
+  /**
+   * Corpus of self-play games between two CPUs with the starting weights,
+   * made to differ by random opening plies (see Tournament)
+   * @param {number} games - Number of games
+   * @param {number} openingPlies - Random plies at the start of each game (default 4)
+   */
+  generateCorpus(games, openingPlies = 4) {
+    const tournament = this.createTournament({
+      participants: [
+        { name: 'A', difficulty: this.difficulty, weights: this.weights },
+        { name: 'B', difficulty: this.difficulty, weights: this.weights }
+      ],
+      gamesPerPairing: games,
+      openingPlies
+    });
+    return tournament.run().games;
+  }
+
+  /**
+   * Every non-final position of a corpus with its game's result for X
+   * Unfinished games are skipped
+   * Returns [{ engine, result, cpu }] where result is 1, 0.5 or 0 and cpu
+   * evaluates the position (one CPU per game config)
+   */
+  collectPositions(corpus) {
+    const positions = [];
+    const cpus = new Map();
+
+    for (const game of corpus) {
+      if (!game.result) {
+        continue;
+      }
+      const result = game.result === 'X' ? 1 : game.result === 'O' ? 0 : 0.5;
+      const engine = this.createEngine({ maxOnBoard: this.maxOnBoard, ...(game.config || {}) });
+      engine.reset(game.startingPlayer);
+
+      const key = JSON.stringify(engine.getConfig());
+      if (!cpus.has(key)) {
+        cpus.set(key, this.createCPU(engine));
+      }
+      const cpu = cpus.get(key);
+
+      for (const move of game.moves) {
+        if (engine.gameOver) {
+          break;
+        }
+        positions.push({ engine: engine.clone(), result, cpu });
+        const applied = engine.applyMove(move);
+        if (!applied.success) {
+          throw new Error(`Corpus game cannot be replayed: ${applied.message}`);
+        }
+      }
+    }
+
+    return positions;
+  }
+
+  /**
+   * Texel tuning on a corpus of games
+   * The evaluation scale is fitted once to the starting weights, then kept
+   * Returns { method, weights, error, initialError, scale, positions, iterations }
+   */
+  tuneTexel(corpus) {
+    const positions = this.collectPositions(corpus);
+    if (positions.length === 0) {
+      throw new Error('The corpus has no finished games');
+    }
+
+    const scale = this.fitScale(positions, this.weights);
+    const initialError = this.meanSquaredError(positions, this.weights, scale);
+
+    const search = this.localSearch(
+      initialError,
+      weights => this.meanSquaredError(positions, weights, scale),
+      (error, best) => error < best
+    );
+
+    return {
+      method: 'texel',
+      weights: search.weights,
+      error: search.value,
+      initialError,
+      scale,
+      positions: positions.length,
+      iterations: search.iterations
+    };
+  }
+
+  /**
+   * Self-play tuning: a change is kept when its CPU wins a match against the current weights
+   * Every match uses the same seed, so candidates face the same openings
+   * Returns { method, weights, matches, iterations }
+   */
+  tuneSelfPlay() {
+    let matches = 0;
+    const search = this.localSearch(0.5, (weights, best) => {
+      matches++;
+      return this.matchScore(weights, best);
+    }, score => score > 0.5);
+
+    return { method: 'self-play', weights: search.weights, matches, iterations: search.iterations };
+  }
+
+  /**
+   * Local search over the tuned weights
+   * @param {number} initial - Value of the starting weights
+   * @param {Function} measure - (candidate, best) => value of candidate weights
+   * @param {Function} better - (value, bestValue) => whether the candidate is kept
+   * Returns { weights, value, iterations }
+   */
+  localSearch(initial, measure, better) {
+    let best = { ...this.weights };
+    let value = initial;
+    let step = this.step;
+    let iteration = 0;
+
+    while (iteration < this.iterations && step >= this.minStep) {
+      iteration++;
+      let improved = false;
+
+      for (const name of this.parameters) {
+        for (const factor of [1 + step, 1 / (1 + step)]) {
+          const candidate = { ...best, [name]: this.round(best[name] * factor) };
+          if (candidate[name] === best[name]) {
+            continue;
+          }
+
+          const candidateValue = measure(candidate, best);
+          if (better(candidateValue, value)) {
+            best = candidate;
+            value = candidateValue;
+            improved = true;
+            break;
+          }
+        }
+      }
+
+      if (!improved) {
+        step /= 2;
+      }
+      if (this.onIteration) {
+        this.onIteration({ iteration, weights: { ...best }, value, step });
+      }
+    }
+
+    return { weights: best, value, iterations: iteration };
+  }
+
+  /**
+   * Evaluation scale (from SCALES) that best fits the corpus results
+   */
+  fitScale(positions, weights) {
+    let best = this.SCALES[0];
+    let bestError = Infinity;
+
+    for (const scale of this.SCALES) {
+      const error = this.meanSquaredError(positions, weights, scale);
+      if (error < bestError) {
+        best = scale;
+        bestError = error;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Mean squared error between the results and the win chances of the evaluations
+   */
+  meanSquaredError(positions, weights, scale) {
+    for (const cpu of new Set(positions.map(position => position.cpu))) {
+      cpu.weights = { ...cpu.weights, ...weights };
+    }
+    let total = 0;
+
+    for (const { engine, result, cpu } of positions) {
+      const evaluation = cpu.evaluateState(engine, 'X');
+      const chance = 1 / (1 + Math.exp(-evaluation / scale));
+      total += (result - chance) ** 2;
+    }
+    return total / positions.length;
+  }
+
+  /**
+   * Share of the points a CPU with candidate weights scores against one with opponent weights
+   */
+  matchScore(candidate, opponent) {
+    const tournament = this.createTournament({
+      participants: [
+        { name: 'candidate', difficulty: this.difficulty, weights: candidate },
+        { name: 'current', difficulty: this.difficulty, weights: opponent }
+      ],
+      gamesPerPairing: this.games
+    });
+    const report = tournament.run();
+    return report.standings.find(entry => entry.name === 'candidate').score;
+  }
+
+  /**
+   * Weights are kept to 3 significant digits, so saved sets stay readable
+   */
+  round(value) {
+    return Number(value.toPrecision(3));
+  }
+
+  /**
+   * Create a GameEngine in both browser and Node.js environments
+   */
+  createEngine(config) {
+    const Engine = typeof GameEngine !== 'undefined' ? GameEngine : require('./game-engine.js');
+    return new Engine(config);
+  }
+
+  /**
+   * Create the evaluating CPUPlayer in both browser and Node.js environments
+   */
+  createCPU(engine) {
+    const Player = typeof CPUPlayer !== 'undefined' ? CPUPlayer : require('./cpu-player.js');
+    return new Player(engine, this.difficulty, { book: null });
+  }
+
+  /**
+   * Create a Tournament in both browser and Node.js environments
+   */
+  createTournament(config) {
+    const Runner = typeof Tournament !== 'undefined' ? Tournament : require('./tournament.js');
+    return new Runner({ seed: this.seed, maxOnBoard: this.maxOnBoard, ...config });
+  }
+}
+
+// Export for use in both browser and Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WeightTuner;
+}